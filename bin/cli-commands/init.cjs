@@ -25,6 +25,12 @@ const DEFAULT_CONFIG = {
   // 飞书应用配置
   feishuAppId: '',
   feishuAppSecret: '',
+  // feishu | lark | 私有部署地址
+  feishuDomain: 'feishu',
+  // websocket | webhook
+  eventMode: 'websocket',
+  feishuVerificationToken: '',
+  feishuEncryptKey: '',
   
   // 服务器配置
   bridgePort: 3000,
@@ -9,10 +9,19 @@
  */
 
 const { EventEmitter } = require('events');
+const { execFile } = require('child_process');
+const fs = require('fs');
 const net = require('net');
+const path = require('path');
+const { pathToFileURL } = require('url');
 const opencode = require('./opencode.cjs');
 const feishuModule = require('./feishu.js');
 const feishu = feishuModule.default || feishuModule;
+const { FeishuApiError } = feishuModule;
+const { renderTranscript } = require('./feishu-message.js');
+const { buildMarkdownCard, formatMarkdownMessage, splitMarkdown } = require('./feishu-format.js');
+const { OutboundScheduler } = require('./outbound-scheduler.cjs');
+const { EVENT_TYPES } = require('./opencode-events.cjs');
 
 // Status constants
 const STATUS = {
@@ -28,6 +37,9 @@ let errorMessage = null;
 let connectionStartTime = null;
 let lastErrorTime = null;
 
+// Config passed to start()
+let bridgeConfig = null;
+
 // Module connection states
 let feishuConnected = false;
 let opencodeConnected = false;
@@ -35,6 +47,10 @@ let opencodeConnected = false;
 // Session management
 let sessionId = null;
 let chatIdToSessionMap = new Map();
+const threadSessionMap = new Map(); // `${chatId}:${rootMessageId}` -> sessionId
+const sessionTargets = new Map(); // sessionId -> { key, chatId, rootMessageId, appId }
+const sessionTriggers = new Map(); // sessionId -> messageIds of the prompts still waiting for an answer, oldest first
+const cancelledTriggers = new Set(); // recalled prompts whose answers are discarded when they arrive
 
 // Message deduplication
 const processedMessageIds = new Set();
@@ -147,16 +163,10 @@ async function pollSessionStatus() {
 }
 
 async function sendStatusToFeishu(sessionId, status) {
-  // Find chatId for this session
-  let targetChatId = null;
-  for (const [chatId, sid] of chatIdToSessionMap.entries()) {
-    if (sid === sessionId) {
-      targetChatId = chatId;
-      break;
-    }
-  }
+  // Find chat (and thread) for this session
+  const target = getSessionTarget(sessionId);
   
-  if (!targetChatId) {
+  if (!target) {
     if (logger) logger('warn', `No chat found for session ${sessionId}, skipping status update`);
     return;
   }
@@ -185,8 +195,8 @@ async function sendStatusToFeishu(sessionId, status) {
   
   try {
     // Send status as a temporary message that will be updated
-    await feishu.sendMessage(targetChatId, statusText);
-    if (logger) logger('info', `Sent status update to Feishu chat ${targetChatId}: ${statusText}`);
+    await deliverToFeishu(target, statusText);
+    if (logger) logger('info', `Sent status update to Feishu chat ${target.chatId}: ${statusText}`);
   } catch (error) {
     if (logger) logger('error', `Failed to send status to Feishu: ${error.message}`);
   }
@@ -226,12 +236,23 @@ const eventHandlers = {
 const handlerReferences = {
   feishu: {
     message: null,
+    recalled: null,
+    cardAction: null,
+    botAdded: null,
+    botRemoved: null,
     connected: null,
     disconnected: null,
     error: null
   },
   opencode: {
-    message: null,
+    messageUpdated: null,
+    partUpdated: null,
+    sessionIdle: null,
+    sessionStatus: null,
+    sessionError: null,
+    permissionUpdated: null,
+    permissionReplied: null,
+    reconnected: null,
     connected: null,
     disconnected: null,
     error: null
@@ -255,6 +276,11 @@ function enqueue(message) {
   return true;
 }
 
+// Feishu rejected the call for a reason that retrying won't fix
+function isPermanentFeishuError(error) {
+  return error instanceof FeishuApiError && !error.retryable;
+}
+
 function dequeue() {
   if (messageQueue.length === 0) {
     return null;
@@ -302,13 +328,1193 @@ function setStatus(status, error = null) {
   });
 }
 
-function updateConnectionStatus() {
-  if (feishuConnected && opencodeConnected) {
-    if (currentStatus !== STATUS.CONNECTED) {
-      setStatus(STATUS.CONNECTED);
-    }
-  } else if (currentStatus === STATUS.CONNECTED) {
-    setStatus(STATUS.ERROR, 'Connection lost');
+function updateConnectionStatus() {
+  if (feishuConnected && opencodeConnected) {
+    if (currentStatus !== STATUS.CONNECTED) {
+      setStatus(STATUS.CONNECTED);
+    }
+  } else if (currentStatus === STATUS.CONNECTED) {
+    setStatus(STATUS.ERROR, 'Connection lost');
+  }
+}
+
+/**
+ * ============================================
+ * OUTBOUND RATE LIMITING
+ * ============================================
+ */
+
+let outboundScheduler = null;
+
+function createOutboundScheduler(rateLimit = {}) {
+  const options = {};
+  if (rateLimit.chatRate) {
+    options.chatRate = rateLimit.chatRate;
+    options.chatBurst = rateLimit.chatRate;
+  }
+  if (rateLimit.appRate) {
+    options.appRate = rateLimit.appRate;
+    options.appBurst = rateLimit.appRate;
+  }
+  return new OutboundScheduler(options);
+}
+
+// 所有发往飞书的消息都经过调度器：按群和应用限速，同一个群内保持顺序
+// appId: 发送消息的机器人，一个应用被限流不影响其他应用
+function sendThrottled(chatId, send, appId) {
+  return outboundScheduler ? outboundScheduler.schedule(chatId, send, appId) : send();
+}
+
+/**
+ * ============================================
+ * CONVERSATIONS (chat / thread → OpenCode session)
+ * ============================================
+ */
+
+const THREAD_MODE = {
+  CHAT: 'chat',
+  THREAD: 'thread'
+};
+
+function getThreadMode(chatId) {
+  const chatModes = bridgeConfig?.thread?.chatModes || {};
+  return chatModes[chatId] || bridgeConfig?.thread?.mode || THREAD_MODE.CHAT;
+}
+
+// Bot app that received a message and should send the reply; the primary app when unknown
+function getFeishuApp(appId) {
+  return feishu.getApp(appId);
+}
+
+// Work out which conversation (and therefore OpenCode session) a Feishu message belongs to
+function resolveConversation(message) {
+  const { chatId, messageId, rootId, threadId, appId = null } = message;
+
+  if (getThreadMode(chatId) !== THREAD_MODE.THREAD) {
+    return { key: chatId, chatId, rootMessageId: null, appId };
+  }
+
+  // 话题模式：话题内的消息共用一个会话，新的顶层消息开启新话题
+  const rootMessageId = rootId || messageId;
+  return { key: `${chatId}:${rootId || threadId || messageId}`, chatId, rootMessageId, appId };
+}
+
+function getConversationSession(conversation) {
+  if (conversation.rootMessageId) {
+    return threadSessionMap.get(conversation.key);
+  }
+  return chatIdToSessionMap.get(conversation.chatId);
+}
+
+function setConversationSession(conversation, sid) {
+  if (conversation.rootMessageId) {
+    threadSessionMap.set(conversation.key, sid);
+  } else {
+    chatIdToSessionMap.set(conversation.chatId, sid);
+  }
+  sessionTargets.set(sid, conversation);
+}
+
+function getSessionTarget(sid) {
+  return (sid && sessionTargets.get(sid)) || null;
+}
+
+function getReplyFormat(chatId) {
+  const chatFormats = bridgeConfig?.reply?.chatFormats || {};
+  return chatFormats[chatId] || bridgeConfig?.reply?.format || 'card';
+}
+
+// 会话忙时发来的提示词由 OpenCode 排队依次回答，每个回答对应最早一条还在等待的提示词
+function addSessionTrigger(sid, messageId) {
+  const triggers = sessionTriggers.get(sid) || [];
+  triggers.push(messageId);
+  sessionTriggers.set(sid, triggers);
+}
+
+function takeSessionTrigger(sid) {
+  const triggers = sessionTriggers.get(sid);
+  if (!triggers) {
+    return null;
+  }
+  const trigger = triggers.shift() || null;
+  if (triggers.length === 0) {
+    sessionTriggers.delete(sid);
+  }
+  return trigger;
+}
+
+// A prompt that never reached OpenCode will not be answered
+function removeSessionTrigger(messageId) {
+  cancelledTriggers.delete(messageId);
+  for (const [sid, triggers] of sessionTriggers.entries()) {
+    const index = triggers.indexOf(messageId);
+    if (index > -1) {
+      triggers.splice(index, 1);
+      if (triggers.length === 0) {
+        sessionTriggers.delete(sid);
+      }
+      return;
+    }
+  }
+}
+
+// Target for an OpenCode answer: the session's chat / thread, replying to the prompt that triggered it
+function getReplyTarget(sid, trigger = sessionTriggers.get(sid)?.[0]) {
+  const target = getSessionTarget(sid);
+  return target && trigger ? { ...target, replyTo: trigger } : target;
+}
+
+// Send text to the chat, or into the thread, an OpenCode session belongs to
+// target.replyTo: 回复触发这次回答的消息；options.markdown: 按该群的 replyFormat 渲染为卡片 / 富文本
+async function deliverToFeishu(target, text, options = {}) {
+  const content = options.markdown ? formatMarkdownMessage(text, getReplyFormat(target.chatId)) : text;
+  const replyTo = target.replyTo || target.rootMessageId;
+  const app = getFeishuApp(target.appId);
+
+  if (replyTo) {
+    try {
+      return await sendThrottled(target.chatId, () => app.reply(replyTo, content, { replyInThread: !!target.rootMessageId }), target.appId);
+    } catch (error) {
+      // 触发消息已被撤回或删除时，改为直接发到群里 / 话题里
+      if (!target.replyTo || !isPermanentFeishuError(error)) {
+        throw error;
+      }
+      return deliverToFeishu({ ...target, replyTo: null }, text, options);
+    }
+  }
+
+  if (options.markdown) {
+    return sendThrottled(target.chatId, () => app.sendContent(target.chatId, content), target.appId);
+  }
+  return sendThrottled(target.chatId, () => app.sendMessage(target.chatId, text), target.appId);
+}
+
+/**
+ * ============================================
+ * ATTACHMENTS
+ * ============================================
+ */
+
+// Downloaded attachments are stored per chat inside the OpenCode workspace
+const DEFAULT_INBOX_DIR = path.join('.oclb', 'inbox');
+const DEFAULT_MAX_ATTACHMENT_SIZE = 20 * 1024 * 1024; // 20 MB
+
+const IMAGE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp'
+};
+
+function getWorkDir() {
+  return path.resolve(bridgeConfig?.opencode?.workDir || '.');
+}
+
+function getInboxDir(chatId) {
+  const inboxDir = bridgeConfig?.inbox?.dir || DEFAULT_INBOX_DIR;
+  return path.join(getWorkDir(), inboxDir, chatId);
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024 * 1024) {
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+  return `${Math.round(bytes / 1024 / 1024 * 10) / 10} MB`;
+}
+
+// Avoid overwriting an earlier upload with the same name
+function getUniqueFilePath(dir, fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  let candidate = path.join(dir, fileName);
+  let index = 1;
+  while (fs.existsSync(candidate)) {
+    candidate = path.join(dir, `${base}-${index}${ext}`);
+    index++;
+  }
+  return candidate;
+}
+
+// 飞书有时返回 application/octet-stream，根据文件头判断图片类型
+function detectImageMime(data, contentType) {
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (IMAGE_EXTENSIONS[mime]) {
+    return mime;
+  }
+
+  if (data.length >= 4 && data[0] === 0x89 && data[1] === 0x50 && data[2] === 0x4e && data[3] === 0x47) {
+    return 'image/png';
+  }
+  if (data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (data.length >= 3 && data.toString('ascii', 0, 3) === 'GIF') {
+    return 'image/gif';
+  }
+  if (data.length >= 12 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return 'image/png';
+}
+
+async function saveImageAttachment(chatId, attachment) {
+  const { data, contentType } = await getFeishuApp(attachment.appId).downloadMessageResource(
+    attachment.messageId,
+    attachment.fileKey,
+    'image'
+  );
+
+  const mime = detectImageMime(data, contentType);
+  const dir = getInboxDir(chatId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const filePath = path.join(dir, `${attachment.fileKey}${IMAGE_EXTENSIONS[mime]}`);
+  await fs.promises.writeFile(filePath, data);
+  if (logger) logger('info', `Saved image ${attachment.fileKey} to ${filePath}`);
+
+  return {
+    type: 'file',
+    mime,
+    filename: path.basename(filePath),
+    url: pathToFileURL(filePath).href
+  };
+}
+
+// Raised when a file breaks the inbox limits; the reason is shown in the chat
+class AttachmentRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentRejectedError';
+  }
+}
+
+// Download a file attachment into the inbox and return its path relative to workDir
+async function saveFileAttachment(chatId, attachment) {
+  const inbox = bridgeConfig?.inbox || {};
+  const maxSize = inbox.maxSize || DEFAULT_MAX_ATTACHMENT_SIZE;
+  const allowedExtensions = (inbox.allowedExtensions || []).map(ext => ext.toLowerCase());
+
+  // 文件名来自用户，去掉目录部分防止写出 inbox
+  const fileName = path.basename(attachment.fileName).replace(/[\\/:*?"<>|]/g, '_');
+  const ext = path.extname(fileName).toLowerCase();
+  if (allowedExtensions.length > 0 && !allowedExtensions.includes(ext)) {
+    throw new AttachmentRejectedError(`不支持的文件类型 ${ext || '(无扩展名)'}，允许: ${allowedExtensions.join(' ')}`);
+  }
+
+  let resource;
+  try {
+    resource = await getFeishuApp(attachment.appId).downloadMessageResource(attachment.messageId, attachment.fileKey, 'file', { maxSize });
+  } catch (error) {
+    if (error.code === 'ERR_RESOURCE_TOO_LARGE') {
+      throw new AttachmentRejectedError(`文件超过大小限制 (${formatSize(maxSize)})`);
+    }
+    throw error;
+  }
+
+  const dir = getInboxDir(chatId);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const filePath = getUniqueFilePath(dir, fileName);
+  await fs.promises.writeFile(filePath, resource.data);
+  if (logger) logger('info', `Saved file ${attachment.fileName} to ${filePath}`);
+
+  return path.relative(getWorkDir(), filePath);
+}
+
+// Build the OpenCode parts (caption text + downloaded attachments) for a Feishu message
+async function buildPromptParts(message) {
+  const parts = [];
+  const savedFiles = [];
+
+  // 引用的消息放在用户文本之前
+  const text = [message.quote, message.text].filter(Boolean).join('\n\n');
+  if (text) {
+    parts.push({ type: 'text', text });
+  }
+
+  for (const attachment of message.attachments || []) {
+    if (attachment.type === 'image') {
+      try {
+        parts.push(await saveImageAttachment(message.chatId, attachment));
+      } catch (error) {
+        if (logger) logger('error', `Failed to download image ${attachment.fileKey}:`, error.message);
+      }
+    } else if (attachment.type === 'file') {
+      try {
+        savedFiles.push(await saveFileAttachment(message.chatId, attachment));
+      } catch (error) {
+        const reason = error instanceof AttachmentRejectedError ? error.message : '下载失败';
+        if (logger) logger('warn', `File ${attachment.fileName} rejected: ${error.message}`);
+        try {
+          await sendThrottled(message.chatId, () => getFeishuApp(message.appId).sendMessage(message.chatId, `⚠️ 文件 ${attachment.fileName} 未被接收: ${reason}`), message.appId);
+        } catch (sendError) {
+          if (logger) logger('error', 'Failed to send file rejection notice:', sendError.message);
+        }
+      }
+    }
+  }
+
+  // Tell OpenCode where the files are so the agent can read them
+  if (savedFiles.length > 0) {
+    const fileList = savedFiles.map(file => `- ${file}`).join('\n');
+    parts.push({ type: 'text', text: `The user attached the following file(s) to the workspace:\n${fileList}` });
+  }
+
+  return parts;
+}
+
+/**
+ * ============================================
+ * FILE COMMANDS (/diff, /file)
+ * ============================================
+ */
+
+// 飞书文件上传上限为 30MB
+const DEFAULT_MAX_UPLOAD_SIZE = 30 * 1024 * 1024;
+const GIT_DIFF_TIMEOUT = 30000;
+const GIT_OUTPUT_LIMIT = 64 * 1024;
+
+// Raised when a requested file cannot be sent; the reason is shown in the chat
+class FileCommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FileCommandError';
+  }
+}
+
+function getMaxUploadSize() {
+  return Math.min(bridgeConfig?.upload?.maxSize || DEFAULT_MAX_UPLOAD_SIZE, DEFAULT_MAX_UPLOAD_SIZE);
+}
+
+// Returns { name, args } for "/diff [path...]" and "/file <path>", otherwise null
+function parseFileCommand(text) {
+  const match = (text || '').trim().match(/^\/(diff|file)(?:\s+([\s\S]*))?$/);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1], args: (match[2] || '').trim() };
+}
+
+// 和 git 的判断方式一致：前 8000 字节出现 NUL 即视为二进制
+function isBinaryContent(data) {
+  return data.subarray(0, 8000).includes(0);
+}
+
+function resolveWorkspacePath(requested) {
+  const workDir = getWorkDir();
+  const fullPath = path.resolve(workDir, requested);
+  const relative = path.relative(workDir, fullPath);
+  // relative 为空时就是工作目录本身，例如 "/diff ."
+  if (relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+    throw new FileCommandError(`${requested} 不在工作目录内`);
+  }
+  return fullPath;
+}
+
+// Run git in the workspace; failures become a FileCommandError that can be shown in the chat.
+// okExitCodes lists non-zero exit codes that still mean success (git diff --no-index exits 1 on differences).
+function runGit(args, maxSize, { input = null, okExitCodes = [] } = {}) {
+  return new Promise((resolve, reject) => {
+    const child = execFile('git', args, {
+      cwd: getWorkDir(),
+      encoding: 'buffer',
+      maxBuffer: maxSize,
+      timeout: GIT_DIFF_TIMEOUT
+    }, (error, stdout, stderr) => {
+      if (!error || okExitCodes.includes(error.code)) {
+        resolve(stdout);
+        return;
+      }
+      if (error.code === 'ERR_CHILD_PROCESS_STDIO_MAXBUFFER') {
+        reject(new FileCommandError(`补丁超过大小限制 (${formatSize(maxSize)})`));
+        return;
+      }
+      const detail = (stderr || Buffer.alloc(0)).toString().trim().split('\n')[0];
+      if (/not a git repository/i.test(detail)) {
+        reject(new FileCommandError('工作目录不是 git 仓库'));
+        return;
+      }
+      reject(new FileCommandError(`git ${args[0]} 执行失败: ${detail || error.message}`));
+    });
+    if (input !== null) {
+      child.stdin.end(input);
+    }
+  });
+}
+
+// 还没有任何提交的仓库没有 HEAD，改为和空树比较，已加入暂存区的文件都算改动
+async function getDiffBase() {
+  try {
+    await runGit(['rev-parse', '--verify', '--quiet', 'HEAD'], GIT_OUTPUT_LIMIT);
+    return 'HEAD';
+  } catch (error) {
+    // 不是 git 仓库时由随后的 git diff 报告
+    const emptyTree = await runGit(['hash-object', '-t', 'tree', '--stdin'], GIT_OUTPUT_LIMIT, { input: '' });
+    return emptyTree.toString().trim();
+  }
+}
+
+async function runGitDiff(paths, maxSize) {
+  const base = await getDiffBase();
+  const tracked = await runGit(['diff', base, '--no-color', '--no-ext-diff', '--', ...paths], maxSize);
+
+  // 新建但还没有 git add 的文件不在 git diff 里，逐个和 /dev/null 比较；被 .gitignore 忽略的和隐藏文件不包含
+  const listing = await runGit(['ls-files', '-z', '--others', '--exclude-standard', '--', ...paths], maxSize);
+  const untracked = listing.toString().split('\0').filter(file => file && !isHiddenPath(path.normalize(file)));
+  const chunks = [tracked];
+  let size = tracked.length;
+  for (const file of untracked) {
+    const chunk = await runGit(
+      ['diff', '--no-index', '--no-color', '--no-ext-diff', '--', '/dev/null', file],
+      maxSize - size,
+      { okExitCodes: [1] }
+    );
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+  return Buffer.concat(chunks);
+}
+
+function formatDiffFileName(date = new Date()) {
+  const pad = value => String(value).padStart(2, '0');
+  return `changes-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+    `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}.diff`;
+}
+
+// Unified diff of uncommitted changes, including new files that are not ignored
+async function buildDiffArtifact(args) {
+  const paths = args ? args.split(/\s+/) : [];
+  paths.forEach(resolveWorkspacePath);
+
+  const data = await runGitDiff(paths, getMaxUploadSize());
+  if (data.length === 0) {
+    throw new FileCommandError('没有未提交的改动');
+  }
+
+  const patch = data.toString();
+  const fileCount = (patch.match(/^diff --git /gm) || []).length;
+  // git 对二进制改动只输出一行说明，补丁里没有内容
+  const binaryCount = (patch.match(/^Binary files .* differ$/gm) || []).length;
+
+  const summary = [`📎 未提交的改动: ${fileCount} 个文件`];
+  if (binaryCount > 0) {
+    summary.push(`其中 ${binaryCount} 个二进制文件的改动未包含在补丁中`);
+  }
+
+  return { fileName: formatDiffFileName(), data, summary: summary.join('，') };
+}
+
+// 以 . 开头的文件和目录（.config.json 里有应用密钥，还有 .git/、.env 等）不允许发送
+function isHiddenPath(relative) {
+  return relative.split(path.sep).some(segment => segment.startsWith('.') && segment !== '.' && segment !== '..');
+}
+
+// Any regular file inside the workspace, except hidden files
+async function buildFileArtifact(args) {
+  if (!args) {
+    throw new FileCommandError('用法: /file <相对于工作目录的路径>');
+  }
+
+  const fullPath = resolveWorkspacePath(args);
+  let realPath;
+  try {
+    realPath = await fs.promises.realpath(fullPath);
+  } catch (error) {
+    throw new FileCommandError(`找不到文件 ${args}`);
+  }
+  // 符号链接可能指向工作目录之外
+  const realWorkDir = await fs.promises.realpath(getWorkDir());
+  const relative = path.relative(realWorkDir, realPath);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw new FileCommandError(`${args} 不在工作目录内`);
+  }
+  if (isHiddenPath(path.relative(getWorkDir(), fullPath)) || isHiddenPath(relative)) {
+    throw new FileCommandError(`${args} 是隐藏文件，不允许发送`);
+  }
+
+  const stats = await fs.promises.stat(realPath);
+  if (!stats.isFile()) {
+    throw new FileCommandError(`${args} 不是文件`);
+  }
+  if (stats.size === 0) {
+    throw new FileCommandError(`${args} 是空文件`);
+  }
+  const maxSize = getMaxUploadSize();
+  if (stats.size > maxSize) {
+    throw new FileCommandError(`${args} 超过大小限制 (${formatSize(maxSize)})`);
+  }
+
+  const data = await fs.promises.readFile(realPath);
+  const kind = isBinaryContent(data) ? '二进制文件' : '文本文件';
+  return {
+    fileName: path.basename(realPath),
+    data,
+    summary: `📎 ${args} (${kind}, ${formatSize(data.length)})`
+  };
+}
+
+// Upload the requested diff or file and reply with it; the reply goes to the command message
+async function handleFileCommand(message, command) {
+  const conversation = resolveConversation(message);
+  const target = { ...conversation, replyTo: message.messageId };
+
+  let artifact;
+  try {
+    artifact = command.name === 'diff'
+      ? await buildDiffArtifact(command.args)
+      : await buildFileArtifact(command.args);
+  } catch (error) {
+    const reason = error instanceof FileCommandError ? error.message : '读取文件失败';
+    if (logger) logger('warn', `/${command.name} ${command.args} failed: ${error.message}`);
+    await deliverToFeishu(target, `⚠️ ${reason}`).catch(() => {});
+    return;
+  }
+
+  try {
+    const app = getFeishuApp(target.appId);
+    const fileKey = await app.uploadFile(artifact.fileName, artifact.data);
+    await deliverToFeishu(target, artifact.summary);
+    const fileMessage = { msgType: 'file', content: { file_key: fileKey }, text: '' };
+    await sendThrottled(target.chatId, () => (target.replyTo
+      ? app.reply(target.replyTo, fileMessage, { replyInThread: !!target.rootMessageId })
+      : app.sendContent(target.chatId, fileMessage)), target.appId);
+    if (logger) logger('success', `Sent ${artifact.fileName} (${artifact.data.length} bytes) to ${target.chatId}`);
+  } catch (error) {
+    if (logger) logger('error', `Failed to send ${artifact.fileName}:`, error.message);
+    const reason = error.code === 'ERR_RESOURCE_TOO_LARGE' ? `文件超过大小限制 (${formatSize(getMaxUploadSize())})` : '上传失败';
+    await deliverToFeishu(target, `⚠️ ${artifact.fileName} 发送失败: ${reason}`).catch(() => {});
+  }
+}
+
+/**
+ * ============================================
+ * QUOTED MESSAGES
+ * ============================================
+ */
+
+const MAX_QUOTE_LENGTH = 2000;
+
+function formatQuote(parent) {
+  let text = parent.text;
+  if (text.length > MAX_QUOTE_LENGTH) {
+    text = `${text.slice(0, MAX_QUOTE_LENGTH)}…`;
+  }
+
+  const author = parent.senderType === 'app' ? 'the assistant' : `user ${parent.senderId || 'unknown'}`;
+  const quoted = text.split('\n').map(line => `> ${line}`).join('\n');
+  return `[Quoted message from ${author}]\n${quoted}`;
+}
+
+// Fetch the message a user replied to and format it as a quote block
+async function fetchQuote(message, conversation) {
+  if (!message.parentId) {
+    return null;
+  }
+
+  // 话题模式下已有会话的话题，上下文已经在会话里了
+  if (conversation.rootMessageId && getConversationSession(conversation)) {
+    return null;
+  }
+
+  try {
+    const parent = await getFeishuApp(message.appId).getMessage(message.parentId);
+    if (!parent || !parent.text) {
+      return null;
+    }
+    return formatQuote(parent);
+  } catch (error) {
+    if (logger) logger('warn', `Failed to fetch quoted message ${message.parentId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * ============================================
+ * PROMPT TRACKING (Feishu message → OpenCode prompt)
+ * ============================================
+ */
+
+const PROMPT_STATE = {
+  PENDING: 'pending', // downloading attachments / creating session
+  QUEUED: 'queued', // waiting in the retry queue
+  RUNNING: 'running' // OpenCode is working on it
+};
+
+// messageId -> { chatId, conversation, sessionId, state, cancelled }
+const promptTracking = new Map();
+
+function trackPrompt(messageId, update) {
+  if (!messageId) {
+    return;
+  }
+  const entry = promptTracking.get(messageId) || { cancelled: false };
+  promptTracking.set(messageId, { ...entry, ...update });
+}
+
+function untrackPrompt(messageId) {
+  promptTracking.delete(messageId);
+}
+
+function isPromptCancelled(messageId) {
+  return !!(messageId && promptTracking.get(messageId)?.cancelled);
+}
+
+// 用户撤回消息：还在队列里就丢弃，正在执行就中止 OpenCode 会话
+async function handleRecalledMessage({ messageId }) {
+  const entry = promptTracking.get(messageId);
+  if (!entry) {
+    return;
+  }
+
+  entry.cancelled = true;
+
+  try {
+    switch (entry.state) {
+      case PROMPT_STATE.QUEUED: {
+        const index = messageQueue.findIndex(
+          queued => queued.direction === 'feishu→opencode' && queued.messageId === messageId
+        );
+        if (index > -1) {
+          messageQueue.splice(index, 1);
+        }
+        untrackPrompt(messageId);
+        setPromptReaction(messageId, null);
+        // 第一次发送前已经发出的流式卡片不会再有回答
+        await abandonSessionReply(entry.sessionId || getConversationSession(entry.conversation), CANCELLED_NOTE);
+        if (logger) logger('info', `Recalled message ${messageId} removed from queue`);
+        break;
+      }
+      case PROMPT_STATE.RUNNING: {
+        // 回答仍会到达（或以中止结束），占住它在队列中的位置，到时丢弃
+        const triggers = sessionTriggers.get(entry.sessionId) || [];
+        const isCurrent = triggers[0] === messageId;
+        if (triggers.includes(messageId)) {
+          cancelledTriggers.add(messageId);
+        }
+        setPromptReaction(messageId, null);
+        if (!isCurrent) {
+          // 排在会话里等待的提示词：中止会打断正在回答的其他提示词
+          if (logger) logger('info', `Recalled message ${messageId}, its answer will be discarded`);
+          break;
+        }
+        await opencode.abortSession(entry.sessionId);
+        if (logger) logger('info', `Recalled message ${messageId}, aborted OpenCode session ${entry.sessionId}`);
+        await finishStreamingReply(entry.sessionId, null, CANCELLED_NOTE);
+        clearStreamingReply(entry.sessionId);
+        await deliverToFeishu(entry.conversation, '🛑 消息已撤回，已取消当前任务');
+        break;
+      }
+      default:
+        // PENDING: handleFeishuToOpenCode checks the flag before sending
+        if (logger) logger('info', `Recalled message ${messageId} will not be forwarded`);
+    }
+  } catch (error) {
+    if (logger) logger('error', `Failed to cancel recalled message ${messageId}:`, error.message);
+  }
+}
+
+/**
+ * ============================================
+ * PROMPT REACTIONS
+ * ============================================
+ */
+
+// 用表情回复标记用户消息的处理状态：处理中 → 完成 / 失败
+const DEFAULT_REACTIONS = {
+  working: 'OnIt',
+  done: 'DONE',
+  failed: 'CrossMark'
+};
+const MAX_TRACKED_REACTIONS = 1000;
+
+// messageId -> { reactionId, appId, chatId, pending }; pending keeps updates for one message in order
+const promptReactions = new Map();
+
+// Emoji per state, or null when reactions are turned off
+function getReactionTypes() {
+  const configured = bridgeConfig?.reactions;
+  if (configured === false || configured === null) {
+    return null;
+  }
+  return { ...DEFAULT_REACTIONS, ...(configured || {}) };
+}
+
+async function applyPromptReaction(messageId, entry, state) {
+  const types = getReactionTypes();
+  if (!types) {
+    return;
+  }
+
+  // 表情也计入群和应用的发送频率
+  try {
+    const app = getFeishuApp(entry.appId);
+    if (entry.reactionId) {
+      const reactionId = entry.reactionId;
+      await sendThrottled(entry.chatId, () => app.removeReaction(messageId, reactionId), entry.appId);
+      entry.reactionId = null;
+    }
+    if (state && types[state]) {
+      entry.reactionId = await sendThrottled(entry.chatId, () => app.addReaction(messageId, types[state]), entry.appId);
+    }
+  } catch (error) {
+    // 表情只是状态提示，失败不影响消息处理
+    if (logger) logger('warn', `Failed to update reaction on ${messageId}: ${error.message}`);
+  }
+}
+
+/**
+ * Show the state of a prompt as a reaction on the user's message
+ * @param {string} messageId - Feishu message that carried the prompt
+ * @param {'working'|'done'|'failed'|null} state - null only removes the working reaction
+ * @param {object} [origin] - Where the message was received; later updates reuse it
+ * @param {string} [origin.appId] - Bot app that received the message
+ * @param {string} [origin.chatId] - Chat the message was sent in
+ * @returns {Promise<void>}
+ */
+function setPromptReaction(messageId, state, origin = {}) {
+  if (!messageId || !getReactionTypes()) {
+    return Promise.resolve();
+  }
+
+  const entry = promptReactions.get(messageId) || { reactionId: null, appId: null, chatId: null, pending: Promise.resolve() };
+  if (origin.appId) {
+    entry.appId = origin.appId;
+  }
+  if (origin.chatId) {
+    entry.chatId = origin.chatId;
+  }
+  entry.pending = entry.pending.then(() => applyPromptReaction(messageId, entry, state));
+  promptReactions.set(messageId, entry);
+
+  if (state === 'working') {
+    if (promptReactions.size > MAX_TRACKED_REACTIONS) {
+      promptReactions.delete(promptReactions.keys().next().value);
+    }
+  } else {
+    // 完成或失败的表情不再替换，不需要继续记录
+    entry.pending.then(() => {
+      if (promptReactions.get(messageId) === entry) {
+        promptReactions.delete(messageId);
+      }
+    });
+  }
+  return entry.pending;
+}
+
+/**
+ * ============================================
+ * STREAMING REPLIES
+ * ============================================
+ */
+
+const DEFAULT_STREAM_UPDATE_INTERVAL = 1000;
+const STREAMING_NOTE = '⏳ 正在生成...';
+const CANCELLED_NOTE = '🛑 已取消';
+const SEND_FAILED_NOTE = '❌ 消息未能发送给 OpenCode';
+
+// sessionId -> { target, cardMessageId, assistantMessageIds, parts, lastText, lastNote, lastUpdate, delivered, timer, updating, finalized }
+const streamingReplies = new Map();
+
+function isStreamingEnabled(target) {
+  return !!bridgeConfig?.stream?.enabled && !!target?.chatId;
+}
+
+function buildStreamingCard(text, note) {
+  const card = buildMarkdownCard(text);
+  if (note) {
+    card.elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: note }] });
+  }
+  return card;
+}
+
+function getStreamText(stream) {
+  return Array.from(stream.parts.values()).join('');
+}
+
+// Post the placeholder card that a reply is streamed into
+async function startStreamingReply(sessionId, target) {
+  // 会话忙时发来的提示词，回答在前一个流式卡片结束后整条发送
+  if (!isStreamingEnabled(target) || streamingReplies.has(sessionId)) {
+    return;
+  }
+
+  const stream = {
+    target,
+    cardMessageId: null,
+    parentID: null,
+    assistantMessageIds: new Set(),
+    parts: new Map(),
+    lastText: '',
+    lastNote: null,
+    lastUpdate: 0,
+    delivered: 1,
+    timer: null,
+    updating: Promise.resolve(true),
+    finalized: false
+  };
+  streamingReplies.set(sessionId, stream);
+
+  try {
+    const card = buildStreamingCard('', STREAMING_NOTE);
+    const replyTo = target.replyTo || target.rootMessageId;
+    const app = getFeishuApp(target.appId);
+    const response = await sendThrottled(target.chatId, () => (replyTo
+      ? app.reply(replyTo, { msgType: 'interactive', content: card, text: '' }, { replyInThread: !!target.rootMessageId })
+      : app.sendCard(target.chatId, card)), target.appId);
+    stream.cardMessageId = response?.data?.message_id || null;
+    stream.lastNote = STREAMING_NOTE;
+    stream.lastUpdate = Date.now();
+    scheduleStreamUpdate(stream);
+  } catch (error) {
+    // 卡片发不出去时退回到完整回复
+    if (logger) logger('warn', `Failed to start streaming reply for session ${sessionId}:`, error.message);
+    if (streamingReplies.get(sessionId) === stream) {
+      streamingReplies.delete(sessionId);
+    }
+  }
+}
+
+// Throttle card updates; Feishu limits how often one message can be edited
+function scheduleStreamUpdate(stream) {
+  if (stream.timer || !stream.cardMessageId || stream.finalized) {
+    return;
+  }
+
+  const interval = bridgeConfig?.stream?.interval || DEFAULT_STREAM_UPDATE_INTERVAL;
+  const wait = Math.max(0, stream.lastUpdate + interval - Date.now());
+  stream.timer = setTimeout(() => {
+    stream.timer = null;
+    if (!stream.finalized) {
+      pushStreamUpdate(stream, getStreamText(stream), STREAMING_NOTE);
+    }
+  }, wait);
+}
+
+// 更新串行执行，避免较早的内容覆盖较新的内容
+function pushStreamUpdate(stream, text, note) {
+  stream.updating = stream.updating.then(async () => {
+    // 超长回复只在卡片里显示第一段，其余在结束时分段发送
+    const preview = splitMarkdown(text)[0];
+    if (preview === stream.lastText && note === stream.lastNote) {
+      return true;
+    }
+
+    stream.lastUpdate = Date.now();
+    try {
+      await sendThrottled(stream.target.chatId, () => getFeishuApp(stream.target.appId).updateCard(stream.cardMessageId, buildStreamingCard(preview, note)), stream.target.appId);
+      stream.lastText = preview;
+      stream.lastNote = note;
+      return true;
+    } catch (error) {
+      if (logger) logger('warn', `Failed to update streaming card ${stream.cardMessageId}:`, error.message);
+      return false;
+    }
+  });
+  return stream.updating;
+}
+
+// Write the final text into the card
+// Returns false when the reply was not streamed and has to be sent normally
+async function finishStreamingReply(sessionId, finalText = null, note = null) {
+  const stream = streamingReplies.get(sessionId);
+  if (!stream || !stream.cardMessageId) {
+    return false;
+  }
+
+  if (stream.timer) {
+    clearTimeout(stream.timer);
+    stream.timer = null;
+  }
+  stream.finalized = true;
+
+  const text = finalText !== null ? finalText : getStreamText(stream);
+  const chunks = splitMarkdown(text);
+  const updated = await pushStreamUpdate(stream, chunks[0], note);
+  if (!updated) {
+    return false;
+  }
+
+  // session.idle 和完整回复都会触发收尾，已发送的分段不重复发送
+  for (const chunk of chunks.slice(stream.delivered)) {
+    await deliverToFeishu(stream.target, chunk, { markdown: true });
+    stream.delivered++;
+  }
+  return true;
+}
+
+function handleStreamMessageUpdated({ sessionID, info }) {
+  const stream = streamingReplies.get(sessionID);
+  if (!stream || info.role !== 'assistant') {
+    return;
+  }
+
+  // 卡片只显示第一条提示词的回答
+  stream.parentID = stream.parentID || info.parentID || null;
+  if (!info.parentID || info.parentID === stream.parentID) {
+    stream.assistantMessageIds.add(info.id);
+  }
+}
+
+function handleStreamPartUpdated({ sessionID, part }) {
+  // 只显示助手消息的文本，用户自己的输入也会产生 part 事件
+  const stream = streamingReplies.get(sessionID);
+  if (!stream || stream.finalized || !stream.assistantMessageIds.has(part.messageID)) {
+    return;
+  }
+
+  stream.parts.set(part.id, part.text || '');
+  scheduleStreamUpdate(stream);
+}
+
+function clearStreamingReply(sessionId) {
+  const stream = streamingReplies.get(sessionId);
+  if (stream?.timer) {
+    clearTimeout(stream.timer);
+  }
+  streamingReplies.delete(sessionId);
+}
+
+/**
+ * ============================================
+ * OPENCODE EVENTS
+ * ============================================
+ */
+
+// 回答由事件流拼出：记录会话中助手消息的文本片段，会话空闲时一次性发送
+// sessionId -> { messages: Map<messageId, info>, parts: Map<partId, part>, error, startedAt }
+const sessionReplies = new Map();
+
+// Start collecting the answer to a prompt; a prompt sent while the session is busy joins the current answer
+function expectSessionReply(sessionId) {
+  if (!sessionReplies.has(sessionId)) {
+    sessionReplies.set(sessionId, { messages: new Map(), parts: new Map(), error: null, startedAt: Date.now() });
+  }
+}
+
+// A prompt that never reached OpenCode gets no answer: close its streaming card and stop collecting
+async function abandonSessionReply(sessionId, note) {
+  // 会话里还有其他提示词在等回答时，卡片和收集的内容留给它们
+  if (!sessionId || sessionTriggers.has(sessionId)) {
+    return;
+  }
+  await finishStreamingReply(sessionId, null, note);
+  clearStreamingReply(sessionId);
+  sessionReplies.delete(sessionId);
+}
+
+// 只处理从飞书发起、正在等待回答的会话，直接在 OpenCode 里使用的会话不转发
+function handleMessageUpdated(event) {
+  const reply = sessionReplies.get(event.sessionID);
+  if (!reply || event.info?.role !== 'assistant') {
+    return;
+  }
+
+  reply.messages.set(event.info.id, event.info);
+  handleStreamMessageUpdated(event);
+}
+
+function handlePartUpdated(event) {
+  const reply = sessionReplies.get(event.sessionID);
+  if (!reply || event.part?.type !== 'text') {
+    return;
+  }
+
+  reply.parts.set(event.part.id, event.part);
+  handleStreamPartUpdated(event);
+}
+
+function handleSessionError(event) {
+  const reply = sessionReplies.get(event.sessionID);
+  if (!reply) {
+    if (logger) logger('warn', `OpenCode error${event.sessionID ? ` in session ${event.sessionID}` : ''}: ${event.error?.data?.message || event.error?.name || 'unknown error'}`);
+    return;
+  }
+
+  reply.error = event.error || { name: 'UnknownError' };
+  flushSessionReply(event.sessionID);
+}
+
+function handleSessionStatus(event) {
+  if (event.status?.type === 'idle') {
+    flushSessionReply(event.sessionID);
+  }
+}
+
+function handleSessionIdle(event) {
+  flushSessionReply(event.sessionID);
+}
+
+// 事件流断开期间可能错过了回答片段或 session.idle，重连后从会话消息列表补齐
+async function resyncSessionReplies() {
+  const sessionIds = Array.from(sessionReplies.keys());
+  if (sessionIds.length === 0) {
+    return;
+  }
+
+  if (logger) logger('info', `Re-syncing ${sessionIds.length} session(s) after OpenCode event stream reconnect`);
+
+  let statuses = null;
+  try {
+    statuses = await opencode.getSessionStatusMap();
+  } catch (error) {
+    if (logger) logger('warn', 'Failed to fetch OpenCode session status:', error.message);
+  }
+
+  for (const sid of sessionIds) {
+    const reply = sessionReplies.get(sid);
+    if (!reply) {
+      continue;
+    }
+
+    try {
+      const messages = await opencode.getSessionMessages(sid);
+      for (const { info, parts } of messages || []) {
+        if (info?.role !== 'assistant' || (info.time?.created || 0) < reply.startedAt) {
+          continue;
+        }
+        handleMessageUpdated({ type: EVENT_TYPES.MESSAGE_UPDATED, sessionID: sid, info });
+        for (const part of parts || []) {
+          handlePartUpdated({ type: EVENT_TYPES.PART_UPDATED, sessionID: sid, messageID: part.messageID, part });
+        }
+      }
+
+      // 状态未知时继续等待事件流里的 session.idle
+      const status = statuses ? statuses[sid] : undefined;
+      if (statuses && (!status || status.type === 'idle')) {
+        await flushSessionReply(sid);
+      }
+    } catch (error) {
+      if (logger) logger('warn', `Failed to re-sync session ${sid}:`, error.message);
+    }
+  }
+}
+
+// Deliver the collected answer once the session is idle or has failed
+async function flushSessionReply(sessionId) {
+  const reply = sessionReplies.get(sessionId);
+  if (!reply) {
+    return;
+  }
+  // session.idle 和 session.status 都会报告空闲，只发送一次
+  sessionReplies.delete(sessionId);
+
+  // 会话忙时发来的提示词在同一轮里依次回答，按 parentID 拆开，分别回复各自的消息
+  const answers = new Map();
+  for (const info of reply.messages.values()) {
+    const key = info.parentID || null;
+    if (!answers.has(key)) {
+      answers.set(key, []);
+    }
+    answers.get(key).push(info);
+  }
+  if (answers.size === 0) {
+    answers.set(null, []);
+  }
+
+  const groups = Array.from(answers.values());
+  for (let i = 0; i < groups.length; i++) {
+    const infos = groups[i];
+    const messageIds = new Set(infos.map(info => info.id));
+    const parts = Array.from(reply.parts.values()).filter(part => messageIds.has(part.messageID));
+    const info = { ...infos[infos.length - 1], sessionID: sessionId };
+    // 出错的是最后一个回答，之前的已经完成
+    if (reply.error && i === groups.length - 1) {
+      info.error = reply.error;
+    }
+
+    const trigger = takeSessionTrigger(sessionId);
+    if (cancelledTriggers.delete(trigger)) {
+      if (logger) logger('info', `Discarded the answer to recalled message ${trigger}`);
+      continue;
+    }
+    await handleOpenCodeToFeishu({ info, parts }, trigger);
+  }
+
+  // 没有文本时流式卡片还停在“正在生成”
+  if (streamingReplies.has(sessionId)) {
+    try {
+      await finishStreamingReply(sessionId);
+    } catch (error) {
+      if (logger) logger('error', `Failed to finalize streaming reply for session ${sessionId}:`, error.message);
+    } finally {
+      clearStreamingReply(sessionId);
+    }
+  }
+
+  // 空闲事件到达前又发来的提示词，其回答还在后面
+  if (sessionTriggers.has(sessionId)) {
+    expectSessionReply(sessionId);
+  }
+}
+
+/**
+ * ============================================
+ * MERGE-FORWARDED MESSAGES
+ * ============================================
+ */
+
+// Replace a merge_forward message with a transcript of the forwarded messages
+async function expandMergeForward(message) {
+  const children = await getFeishuApp(message.appId).getMergeForwardMessages(message.messageId);
+  if (children.length === 0) {
+    return message;
+  }
+
+  const transcript = renderTranscript(children, message.messageId);
+  return {
+    ...message,
+    text: `[Forwarded conversation]\n${transcript}`,
+    attachments: children.flatMap(child => child.attachments || [])
+  };
+}
+
+// 群聊里合并转发的消息无法 @机器人：先记下来，同一个人随后符合群聊策略的消息会带上它
+const PENDING_FORWARD_TTL = 10 * 60 * 1000;
+const MAX_PENDING_FORWARDS = 100;
+const pendingForwards = new Map(); // `${chatId}:${userId}` -> {message, receivedAt}
+
+function pendingForwardKey(message) {
+  return `${message.chatId}:${message.userId}`;
+}
+
+function rememberPendingForward(message) {
+  const key = pendingForwardKey(message);
+  pendingForwards.delete(key);
+  pendingForwards.set(key, { message, receivedAt: Date.now() });
+
+  if (pendingForwards.size > MAX_PENDING_FORWARDS) {
+    pendingForwards.delete(pendingForwards.keys().next().value);
+  }
+}
+
+function takePendingForward(message) {
+  const key = pendingForwardKey(message);
+  const pending = pendingForwards.get(key);
+  if (!pending) return null;
+
+  pendingForwards.delete(key);
+  if (Date.now() - pending.receivedAt > PENDING_FORWARD_TTL) {
+    return null;
+  }
+  return pending.message;
+}
+
+// Prepend a forwarded bundle that was held back by the group policy to the follow-up message
+async function attachPendingForward(message) {
+  const pending = takePendingForward(message);
+  if (!pending) return message;
+
+  try {
+    const forwarded = await expandMergeForward(pending);
+    return {
+      ...message,
+      text: [forwarded.text, message.text].filter(Boolean).join('\n\n'),
+      attachments: [...(forwarded.attachments || []), ...(message.attachments || [])]
+    };
+  } catch (error) {
+    if (logger) logger('error', `Failed to expand forwarded messages ${pending.messageId}:`, error.message);
+    return message;
   }
 }
 
@@ -335,61 +1541,167 @@ function isDuplicateMessage(messageId) {
   return false;
 }
 
-async function handleFeishuToOpenCode(message) {
+// Group chat policy: which group messages are forwarded to OpenCode
+const GROUP_POLICY = {
+  MENTION_ONLY: 'mention-only',
+  ALL: 'all',
+  PREFIX: 'prefix'
+};
+const DEFAULT_GROUP_PREFIX = '/oc';
+
+// 返回需要转发的文本；不符合群聊策略时返回 null。单聊始终转发
+function applyGroupPolicy(message) {
+  const { text, chatType, isMentioned } = message;
+
+  if (chatType === 'p2p') {
+    return text;
+  }
+
+  const policy = bridgeConfig?.group?.policy || GROUP_POLICY.MENTION_ONLY;
+  switch (policy) {
+    case GROUP_POLICY.ALL:
+      return text;
+    case GROUP_POLICY.PREFIX: {
+      const prefix = bridgeConfig?.group?.prefix || DEFAULT_GROUP_PREFIX;
+      if (!text.startsWith(prefix)) {
+        return null;
+      }
+      return text.slice(prefix.length).trim();
+    }
+    case GROUP_POLICY.MENTION_ONLY:
+    default:
+      return isMentioned ? text : null;
+  }
+}
+
+async function handleFeishuToOpenCode(incoming) {
   try {
-    const { chatId, text, userId, messageId, isMentioned } = message;
+    const forwardText = applyGroupPolicy(incoming);
+    if (forwardText === null) {
+      if (incoming.messageType === 'merge_forward') {
+        rememberPendingForward(incoming);
+        if (logger) logger('debug', `Forwarded messages ${incoming.messageId} held until the bot is addressed`);
+        return;
+      }
+      if (logger) logger('debug', `Group message ${incoming.messageId} ignored by group policy`);
+      return;
+    }
+
+    let message = { ...incoming, text: forwardText };
 
-    if (messageId && isDuplicateMessage(messageId)) {
-      if (logger) logger('warn', `Duplicate message ${messageId} skipped`);
+    if (message.messageId && isDuplicateMessage(message.messageId)) {
+      if (logger) logger('warn', `Duplicate message ${message.messageId} skipped`);
       return;
     }
 
-    if (logger) logger('info', `Feishu → OpenCode: ${text.substring(0, 100)}...`, { chatId, userId });
+    const fileCommand = parseFileCommand(message.text);
+    if (fileCommand && message.messageType !== 'merge_forward') {
+      await handleFileCommand(message, fileCommand);
+      return;
+    }
+
+    trackPrompt(message.messageId, { chatId: message.chatId, state: PROMPT_STATE.PENDING });
+
+    try {
+      if (message.messageType === 'merge_forward') {
+        try {
+          message = await expandMergeForward(message);
+        } catch (error) {
+          if (logger) logger('error', `Failed to expand forwarded messages ${message.messageId}:`, error.message);
+          await sendThrottled(message.chatId, () => getFeishuApp(message.appId).sendMessage(message.chatId, '⚠️ 无法读取合并转发的消息'), message.appId).catch(() => {});
+          return;
+        }
+      } else if (message.chatType !== 'p2p') {
+        message = await attachPendingForward(message);
+      }
+
+      const { chatId, text, userId, messageId } = message;
+
+      if (logger) logger('info', `Feishu → OpenCode: ${text.substring(0, 100)}...`, { chatId, userId });
+
+      const conversation = resolveConversation(message);
+      const quote = await fetchQuote(message, conversation);
+
+      const parts = await buildPromptParts({ ...message, quote });
+      if (parts.length === 0) {
+        if (logger) logger('warn', `Message ${messageId} has no forwardable content, skipping`);
+        return;
+      }
+
+      if (isPromptCancelled(messageId)) {
+        if (logger) logger('info', `Message ${messageId} was recalled before it reached OpenCode`);
+        return;
+      }
+
+      setPromptReaction(messageId, 'working', { appId: message.appId, chatId });
+
+      if (!getConversationSession(conversation)) {
+        try {
+          const newSessionId = await opencode.createSession();
+          setConversationSession(conversation, newSessionId);
+          if (logger) logger('success', `Created OpenCode session ${newSessionId} for ${conversation.rootMessageId ? 'thread' : 'chat'} ${conversation.key}`);
+        } catch (error) {
+          if (logger) logger('error', 'Failed to create OpenCode session:', error.message);
+          trackPrompt(messageId, { conversation, state: PROMPT_STATE.QUEUED });
+          enqueue({
+            direction: 'feishu→opencode',
+            chatId,
+            conversation,
+            text,
+            parts,
+            userId,
+            messageId,
+            retryCount: 0
+          });
+          return;
+        }
+      }
+
+      const sessionIdForChat = getConversationSession(conversation);
+      // 回答从收到这条消息的机器人发出
+      sessionTargets.set(sessionIdForChat, conversation);
 
-    // 注意：飞书没有 typing 状态 API，此功能已禁用
+      trackPrompt(messageId, { conversation, sessionId: sessionIdForChat, state: PROMPT_STATE.RUNNING });
+      addSessionTrigger(sessionIdForChat, messageId);
+      expectSessionReply(sessionIdForChat);
+      await startStreamingReply(sessionIdForChat, { ...conversation, replyTo: messageId });
 
-    if (!chatIdToSessionMap.has(chatId)) {
       try {
-        const newSessionId = await opencode.createSession();
-        chatIdToSessionMap.set(chatId, newSessionId);
-        if (logger) logger('success', `Created OpenCode session ${newSessionId} for chat ${chatId}`);
+        await opencode.sendMessage(sessionIdForChat, parts);
+        if (logger) logger('success', `Message sent to OpenCode session ${sessionIdForChat}`);
+      
+        emitEvent('message', {
+          direction: 'feishu→opencode',
+          chatId,
+          text,
+          sessionId: sessionIdForChat,
+          timestamp: Date.now()
+        });
       } catch (error) {
-        if (logger) logger('error', 'Failed to create OpenCode session:', error.message);
+        removeSessionTrigger(messageId);
+        if (isPromptCancelled(messageId)) {
+          if (logger) logger('info', `Prompt ${messageId} was cancelled by recall`);
+          await abandonSessionReply(sessionIdForChat, CANCELLED_NOTE);
+          return;
+        }
+        if (logger) logger('error', 'Failed to send message to OpenCode:', error.message);
+        trackPrompt(messageId, { conversation, state: PROMPT_STATE.QUEUED });
         enqueue({
           direction: 'feishu→opencode',
           chatId,
+          conversation,
           text,
+          parts,
           userId,
           messageId,
           retryCount: 0
         });
-        return;
       }
-    }
-
-    const sessionIdForChat = chatIdToSessionMap.get(chatId);
-
-    try {
-      await opencode.sendMessage(sessionIdForChat, text);
-      if (logger) logger('success', `Message sent to OpenCode session ${sessionIdForChat}`);
-      
-      emitEvent('message', {
-        direction: 'feishu→opencode',
-        chatId,
-        text,
-        sessionId: sessionIdForChat,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      if (logger) logger('error', 'Failed to send message to OpenCode:', error.message);
-      enqueue({
-        direction: 'feishu→opencode',
-        chatId,
-        text,
-        userId,
-        messageId,
-        retryCount: 0
-      });
+    } finally {
+      // 进入重试队列的消息继续跟踪，便于撤回时从队列中删除
+      if (promptTracking.get(message.messageId)?.state !== PROMPT_STATE.QUEUED) {
+        untrackPrompt(message.messageId);
+      }
     }
 
   } catch (error) {
@@ -439,14 +1751,22 @@ function isDuplicateOpenCodeMessage(message) {
   return false;
 }
 
-async function handleOpenCodeToFeishu(message) {
+// trigger: 这条回答对应的飞书消息；不传时取会话中最早一条等待回答的消息
+async function handleOpenCodeToFeishu(message, trigger = null) {
   try {
-    // Check for duplicate OpenCode messages
-    if (isDuplicateOpenCodeMessage(message)) {
+    // 由事件流拼出的回答每个提示词只发送一次，不同提示词得到相同文本（如 "Done."）时也要分别发送
+    if (!message?.info && isDuplicateOpenCodeMessage(message)) {
       if (logger) logger('warn', 'Duplicate OpenCode message skipped');
       return;
     }
 
+    // 被中止的回答不再转发残留内容；撤回的提示词在此之前已被丢弃，这里是在 OpenCode 中被中止的
+    if (message?.info?.error?.name === 'MessageAbortedError') {
+      if (logger) logger('info', `OpenCode message ${message.info.id} was aborted, skipping`);
+      setPromptReaction(trigger, 'failed');
+      return;
+    }
+
     let text = '';
     let sessionIdFromMsg = null;
 
@@ -463,59 +1783,105 @@ async function handleOpenCodeToFeishu(message) {
         .filter(part => part.type === 'text' && part.text)
         .map(part => part.text);
       text = textParts.join('');
+      sessionIdFromMsg = message.info?.sessionID || null;
+    }
+
+    if (!trigger && sessionIdFromMsg) {
+      trigger = sessionTriggers.get(sessionIdFromMsg)?.[0] || null;
     }
 
     if (!text) {
+      if (message?.info?.error) {
+        if (logger) logger('error', `OpenCode failed to answer: ${message.info.error.data?.message || message.info.error.name}`);
+        setPromptReaction(trigger, 'failed');
+        return;
+      }
       if (logger) logger('warn', 'Empty message from OpenCode, skipping');
       return;
     }
 
     if (logger) logger('info', `OpenCode → Feishu: ${text.substring(0, 100)}...`);
 
-    let targetChatId = null;
-    for (const [chatId, sid] of chatIdToSessionMap.entries()) {
-      if (sid === sessionIdFromMsg || sid === sessionId) {
-        targetChatId = chatId;
-        break;
+    // 流式模式下回复已经写在卡片里，只需写入最终内容
+    const stream = sessionIdFromMsg && streamingReplies.get(sessionIdFromMsg);
+    if (stream) {
+      let streamed = false;
+      try {
+        streamed = await finishStreamingReply(sessionIdFromMsg, text);
+      } finally {
+        clearStreamingReply(sessionIdFromMsg);
+      }
+      if (streamed) {
+        setPromptReaction(trigger, message.info?.error ? 'failed' : 'done');
+        if (logger) logger('success', `Streamed reply finished in Feishu chat ${stream.target.chatId}`);
+        emitEvent('message', {
+          direction: 'opencode→feishu',
+          chatId: stream.target.chatId,
+          text,
+          timestamp: Date.now()
+        });
+        return;
       }
     }
 
-    if (!targetChatId && chatIdToSessionMap.size > 0) {
+    let target = getReplyTarget(sessionIdFromMsg, trigger) || getSessionTarget(sessionId);
+
+    if (!target && chatIdToSessionMap.size > 0) {
       const entries = Array.from(chatIdToSessionMap.keys());
-      targetChatId = entries[entries.length - 1];
+      target = { chatId: entries[entries.length - 1], rootMessageId: null };
     }
 
-    if (!targetChatId) {
+    // 超长回复拆成多条消息，代码块不会被截断
+    const chunks = splitMarkdown(text);
+
+    if (!target) {
       if (logger) logger('error', 'No chat mapping found for OpenCode message');
-      enqueue({
-        direction: 'opencode→feishu',
-        text,
-        sessionId: sessionIdFromMsg,
-        retryCount: 0
-      });
+      for (const chunk of chunks) {
+        enqueue({
+          direction: 'opencode→feishu',
+          text: chunk,
+          sessionId: sessionIdFromMsg,
+          retryCount: 0
+        });
+      }
       return;
     }
 
-    try {
-      await feishu.sendMessage(targetChatId, text);
-      if (logger) logger('success', `Message sent to Feishu chat ${targetChatId}`);
-      
-      emitEvent('message', {
-        direction: 'opencode→feishu',
-        chatId: targetChatId,
-        text,
-        timestamp: Date.now()
-      });
-    } catch (error) {
-      if (logger) logger('error', 'Failed to send message to Feishu:', error.message);
-      enqueue({
-        direction: 'opencode→feishu',
-        chatId: targetChatId,
-        text,
-        retryCount: 0
-      });
+    for (let i = 0; i < chunks.length; i++) {
+      try {
+        await deliverToFeishu(target, chunks[i], { markdown: true });
+      } catch (error) {
+        if (logger) logger('error', 'Failed to send message to Feishu:', error.message);
+        if (isPermanentFeishuError(error)) {
+          // 权限不足、机器人已不在群里等情况重试也不会成功
+          setPromptReaction(trigger, 'failed');
+          return;
+        }
+        // 剩余分段按顺序排队，保证群里看到的顺序不乱
+        for (const chunk of chunks.slice(i)) {
+          enqueue({
+            direction: 'opencode→feishu',
+            chatId: target.chatId,
+            target,
+            text: chunk,
+            retryCount: 0
+          });
+        }
+        return;
+      }
     }
 
+    // 出错前已生成的部分仍然发出，但标记为失败
+    setPromptReaction(trigger, message?.info?.error ? 'failed' : 'done');
+    if (logger) logger('success', `Message sent to Feishu chat ${target.chatId}${chunks.length > 1 ? ` in ${chunks.length} parts` : ''}`);
+
+    emitEvent('message', {
+      direction: 'opencode→feishu',
+      chatId: target.chatId,
+      text,
+      timestamp: Date.now()
+    });
+
   } catch (error) {
     if (logger) logger('error', 'Error in handleOpenCodeToFeishu:', error.message);
     emitEvent('error', { 
@@ -525,6 +1891,340 @@ async function handleOpenCodeToFeishu(message) {
   }
 }
 
+/**
+ * ============================================
+ * CHAT MEMBERSHIP
+ * ============================================
+ */
+
+function getDefaultWelcomeMessage() {
+  const policy = bridgeConfig?.group?.policy || GROUP_POLICY.MENTION_ONLY;
+  const prefix = bridgeConfig?.group?.prefix || DEFAULT_GROUP_PREFIX;
+
+  let howTo = '在群里 @我 并描述你的需求，我会交给 OpenCode 处理';
+  if (policy === GROUP_POLICY.PREFIX) {
+    howTo = `以 ${prefix} 开头发送消息，我会交给 OpenCode 处理`;
+  } else if (policy === GROUP_POLICY.ALL) {
+    howTo = '直接在群里发送消息，我会交给 OpenCode 处理';
+  }
+
+  return [
+    '👋 你好，我是 OpenCode 助手！',
+    `- ${howTo}`,
+    '- 支持文本、富文本、图片、文件和合并转发消息',
+    '- 回复某条消息时，被引用的内容会一起发送',
+    '- 发送 /diff 获取未提交改动的补丁，/file <路径> 获取工作目录中的文件',
+    '- 撤回消息可以取消正在执行的任务'
+  ].join('\n');
+}
+
+async function handleBotAdded({ chatId, chatName, appId }) {
+  if (logger) logger('info', `Bot added to chat ${chatName || chatId}`);
+
+  // null 使用内置帮助，空字符串表示不发送
+  const configured = bridgeConfig?.welcomeMessage;
+  const welcome = configured === undefined || configured === null ? getDefaultWelcomeMessage() : configured;
+  if (!welcome) {
+    return;
+  }
+
+  try {
+    await sendThrottled(chatId, () => getFeishuApp(appId).sendMessage(chatId, welcome), appId);
+  } catch (error) {
+    if (logger) logger('error', `Failed to send welcome message to ${chatId}:`, error.message);
+  }
+}
+
+// 机器人被移出群：清理该群的会话映射、排队消息和状态轮询
+function handleBotRemoved({ chatId }) {
+  const removedSessions = new Set();
+
+  const chatSession = chatIdToSessionMap.get(chatId);
+  if (chatSession) {
+    removedSessions.add(chatSession);
+    chatIdToSessionMap.delete(chatId);
+  }
+
+  for (const [key, sid] of threadSessionMap.entries()) {
+    if (key.startsWith(`${chatId}:`)) {
+      removedSessions.add(sid);
+      threadSessionMap.delete(key);
+    }
+  }
+
+  for (const sid of removedSessions) {
+    sessionTargets.delete(sid);
+    sessionTriggers.delete(sid);
+    sessionReplies.delete(sid);
+    clearPendingPermissions(sid);
+    sessionStatusMap.delete(sid);
+    clearStreamingReply(sid);
+  }
+
+  for (let i = messageQueue.length - 1; i >= 0; i--) {
+    const queued = messageQueue[i];
+    if (queued.chatId === chatId || removedSessions.has(queued.sessionId)) {
+      messageQueue.splice(i, 1);
+    }
+  }
+
+  for (const [messageId, entry] of promptTracking.entries()) {
+    if (entry.chatId === chatId) {
+      promptTracking.delete(messageId);
+    }
+  }
+
+  for (const key of Array.from(pendingForwards.keys())) {
+    if (key.startsWith(`${chatId}:`)) {
+      pendingForwards.delete(key);
+    }
+  }
+
+  if (logger) logger('info', `Bot removed from chat ${chatId}, cleaned up ${removedSessions.size} session(s)`);
+}
+
+/**
+ * ============================================
+ * PERMISSION REQUESTS
+ * ============================================
+ */
+
+// OpenCode 请求执行命令、修改文件等权限时，发卡片到会话所在的群，由群成员决定
+const DEFAULT_PERMISSION_TIMEOUT = 5 * 60 * 1000;
+const PERMISSION_RESPONSES = {
+  once: '允许一次',
+  always: '始终允许',
+  reject: '拒绝'
+};
+const MAX_PERMISSION_DETAIL_LENGTH = 1000;
+
+// permissionId -> { permission, target, cardMessageId, timer, resolution }
+const pendingPermissions = new Map();
+
+function getPermissionSettings() {
+  const configured = bridgeConfig?.permission || {};
+  return {
+    timeout: configured.timeout || DEFAULT_PERMISSION_TIMEOUT,
+    defaultResponse: PERMISSION_RESPONSES[configured.defaultResponse] ? configured.defaultResponse : 'reject'
+  };
+}
+
+// The command or path the request is about
+function getPermissionDetail(permission) {
+  const metadata = permission.metadata || {};
+  const pattern = Array.isArray(permission.pattern) ? permission.pattern.join('\n') : permission.pattern;
+  const detail = String(metadata.command || metadata.filePath || metadata.path || pattern || '');
+  return detail.length > MAX_PERMISSION_DETAIL_LENGTH ? `${detail.slice(0, MAX_PERMISSION_DETAIL_LENGTH)}…` : detail;
+}
+
+function formatTimeout(ms) {
+  return ms >= 60000 ? `${Math.round(ms / 60000)} 分钟` : `${Math.round(ms / 1000)} 秒`;
+}
+
+/**
+ * Build the card asking the chat to answer a permission request
+ * @param {object} permission - properties of the permission.updated event
+ * @param {string} [resolution] - When set, the request is settled: buttons are replaced by this note
+ * @returns {object} Card JSON
+ */
+function buildPermissionCard(permission, resolution = null) {
+  const detail = getPermissionDetail(permission);
+  const elements = [
+    { tag: 'markdown', content: `**工具**: ${permission.type || '未知'}\n**请求**: ${permission.title || '-'}` }
+  ];
+  if (detail) {
+    // 代码块内的 ``` 会提前结束代码块
+    elements.push({ tag: 'markdown', content: ['```', detail.replace(/```/g, "'''"), '```'].join('\n') });
+  }
+
+  if (resolution) {
+    elements.push({ tag: 'note', elements: [{ tag: 'plain_text', content: resolution }] });
+  } else {
+    const { timeout, defaultResponse } = getPermissionSettings();
+    elements.push({
+      tag: 'note',
+      elements: [{ tag: 'plain_text', content: `${formatTimeout(timeout)}内未处理将自动${PERMISSION_RESPONSES[defaultResponse]}` }]
+    });
+    elements.push({
+      tag: 'action',
+      actions: Object.entries(PERMISSION_RESPONSES).map(([response, label]) => ({
+        tag: 'button',
+        text: { tag: 'plain_text', content: label },
+        type: response === 'once' ? 'primary' : response === 'reject' ? 'danger' : 'default',
+        value: { action: 'permission', permissionId: permission.id, sessionId: permission.sessionID, response, label }
+      }))
+    });
+  }
+
+  return {
+    config: { wide_screen_mode: true },
+    header: {
+      template: resolution ? 'grey' : 'orange',
+      title: { tag: 'plain_text', content: '🔐 OpenCode 请求权限' }
+    },
+    elements
+  };
+}
+
+async function handlePermissionUpdated({ sessionID, permission }) {
+  // 不是从飞书发起的会话由 OpenCode 自己的界面处理
+  const target = getReplyTarget(sessionID);
+  if (!target || !permission?.id || pendingPermissions.has(permission.id)) {
+    return;
+  }
+
+  const pending = { permission, target, cardMessageId: null, timer: null, resolution: null };
+  pendingPermissions.set(permission.id, pending);
+
+  const { timeout, defaultResponse } = getPermissionSettings();
+  pending.timer = setTimeout(() => {
+    pending.timer = null;
+    if (logger) logger('warn', `Permission ${permission.id} was not answered in time, replying "${defaultResponse}"`);
+    answerPermission(permission.id, defaultResponse, `⏱ 超时未处理，已自动${PERMISSION_RESPONSES[defaultResponse]}`);
+  }, timeout);
+
+  try {
+    const card = buildPermissionCard(permission);
+    const replyTo = target.replyTo || target.rootMessageId;
+    const app = getFeishuApp(target.appId);
+    const response = await sendThrottled(target.chatId, () => (replyTo
+      ? app.reply(replyTo, { msgType: 'interactive', content: card, text: '' }, { replyInThread: !!target.rootMessageId })
+      : app.sendCard(target.chatId, card)), target.appId);
+    pending.cardMessageId = response?.data?.message_id || null;
+    if (logger) logger('info', `Permission request ${permission.id} (${permission.type}) sent to ${target.chatId}`);
+    // 卡片排队发送期间请求已超时或在 OpenCode 中处理，发出后立即让按钮失效
+    if (pending.resolution) {
+      await updatePermissionCard(pending, pending.resolution);
+    }
+  } catch (error) {
+    // 卡片发不出去时没人能回答，直接按默认值处理，避免会话一直挂起
+    if (logger) logger('error', `Failed to send permission request ${permission.id}:`, error.message);
+    answerPermission(permission.id, defaultResponse);
+  }
+}
+
+/**
+ * Send the answer to a pending permission request back to OpenCode
+ * @param {string} permissionId
+ * @param {'once'|'always'|'reject'} response
+ * @param {string} [resolution] - Note written into the card (button clicks update the card themselves)
+ * @returns {Promise<boolean>} false when the request was already answered
+ */
+async function answerPermission(permissionId, response, resolution = null) {
+  const pending = pendingPermissions.get(permissionId);
+  if (!pending) {
+    return false;
+  }
+  pendingPermissions.delete(permissionId);
+  if (pending.timer) {
+    clearTimeout(pending.timer);
+  }
+
+  try {
+    await opencode.respondToPermission(pending.permission.sessionID, permissionId, response);
+    if (logger) logger('success', `Answered permission ${permissionId} with "${response}"`);
+  } catch (error) {
+    if (logger) logger('error', `Failed to answer permission ${permissionId}:`, error.message);
+    await deliverToFeishu(pending.target, `⚠️ 权限请求回复失败: ${error.message}`).catch(() => {});
+    return true;
+  }
+
+  if (resolution) {
+    await updatePermissionCard(pending, resolution);
+  }
+  return true;
+}
+
+async function updatePermissionCard(pending, resolution) {
+  pending.resolution = resolution;
+  if (!pending.cardMessageId) {
+    return;
+  }
+
+  try {
+    const card = buildPermissionCard(pending.permission, resolution);
+    await sendThrottled(pending.target.chatId, () => getFeishuApp(pending.target.appId).updateCard(pending.cardMessageId, card), pending.target.appId);
+  } catch (error) {
+    if (logger) logger('warn', `Failed to update permission card ${pending.cardMessageId}:`, error.message);
+  }
+}
+
+// 在 OpenCode 界面里已经处理的请求，卡片上的按钮失效
+function handlePermissionReplied({ permissionID }) {
+  const pending = pendingPermissions.get(permissionID);
+  if (!pending) {
+    return;
+  }
+
+  pendingPermissions.delete(permissionID);
+  if (pending.timer) {
+    clearTimeout(pending.timer);
+  }
+  updatePermissionCard(pending, '已在 OpenCode 中处理');
+}
+
+function clearPendingPermissions(sessionId = null) {
+  for (const [permissionId, pending] of pendingPermissions.entries()) {
+    if (sessionId && pending.permission.sessionID !== sessionId) {
+      continue;
+    }
+    if (pending.timer) {
+      clearTimeout(pending.timer);
+    }
+    pendingPermissions.delete(permissionId);
+  }
+}
+
+/**
+ * ============================================
+ * CARD ACTIONS
+ * ============================================
+ */
+
+// Handlers for card buttons, keyed by the `action` field of the button value
+const cardActionHandlers = {
+  // 丢弃当前会话映射，下一条消息会创建新的 OpenCode 会话
+  new_session: async ({ chatId, value, appId }) => {
+    const targetChatId = value.chatId || chatId;
+    const sid = chatIdToSessionMap.get(targetChatId);
+    if (sid) {
+      chatIdToSessionMap.delete(targetChatId);
+      sessionTargets.delete(sid);
+    }
+    await sendThrottled(targetChatId, () => getFeishuApp(appId).sendMessage(targetChatId, '🆕 已开启新会话，下一条消息将发送到新的 OpenCode 会话'), appId);
+  },
+
+  // 权限请求卡片上的按钮，点击后卡片由 feishu.js 标注选择并移除按钮
+  permission: async ({ value }) => {
+    if (!PERMISSION_RESPONSES[value.response]) {
+      throw new Error(`Unknown permission response ${value.response}`);
+    }
+    const answered = await answerPermission(value.permissionId, value.response);
+    if (!answered && logger) {
+      logger('info', `Permission ${value.permissionId} was already answered`);
+    }
+  }
+};
+
+async function handleCardAction(event) {
+  const handler = cardActionHandlers[event.value?.action];
+  if (!handler) {
+    if (logger) logger('debug', `No handler for card action ${JSON.stringify(event.value)}`);
+    return;
+  }
+
+  try {
+    if (logger) logger('info', `Card action ${event.value.action} by ${event.operator.openId} on ${event.messageId}`);
+    await handler(event);
+  } catch (error) {
+    if (logger) logger('error', `Card action ${event.value.action} failed:`, error.message);
+    emitEvent('error', {
+      source: 'handleCardAction',
+      error: error.message
+    });
+  }
+}
+
 async function processQueue() {
   if (currentStatus !== STATUS.CONNECTED) {
     return;
@@ -536,20 +2236,47 @@ async function processQueue() {
 
     try {
       if (message.direction === 'feishu→opencode') {
-        const sessionIdForChat = chatIdToSessionMap.get(message.chatId);
+        const sessionIdForChat = message.conversation
+          ? getConversationSession(message.conversation)
+          : chatIdToSessionMap.get(message.chatId);
         if (sessionIdForChat) {
-          await opencode.sendMessage(sessionIdForChat, message.text);
+          if (message.conversation) {
+            sessionTargets.set(sessionIdForChat, message.conversation);
+          }
+          trackPrompt(message.messageId, { sessionId: sessionIdForChat, state: PROMPT_STATE.RUNNING });
+          addSessionTrigger(sessionIdForChat, message.messageId);
+          expectSessionReply(sessionIdForChat);
+          await startStreamingReply(sessionIdForChat, {
+            ...(message.conversation || { chatId: message.chatId, rootMessageId: null }),
+            replyTo: message.messageId
+          });
+          await opencode.sendMessage(sessionIdForChat, message.parts || message.text);
+          untrackPrompt(message.messageId);
           if (logger) logger('success', `Queued message sent to OpenCode: ${message.text.substring(0, 50)}...`);
         }
       } else if (message.direction === 'opencode→feishu') {
-        await feishu.sendMessage(message.chatId, message.text);
+        await deliverToFeishu(message.target || { chatId: message.chatId }, message.text, { markdown: true });
         if (logger) logger('success', `Queued message sent to Feishu: ${message.text.substring(0, 50)}...`);
       }
     } catch (error) {
       if (logger) logger('error', 'Failed to process queued message:', error.message);
-      if (message.retryCount < 3) {
+      removeSessionTrigger(message.messageId);
+      if (message.retryCount < 3 && !isPromptCancelled(message.messageId) && !isPermanentFeishuError(error)) {
         message.retryCount++;
+        trackPrompt(message.messageId, { state: PROMPT_STATE.QUEUED });
         messageQueue.unshift(message);
+      } else {
+        if (message.direction === 'feishu→opencode') {
+          const cancelled = isPromptCancelled(message.messageId);
+          if (!cancelled) {
+            setPromptReaction(message.messageId, 'failed');
+          }
+          const sessionIdForChat = message.conversation
+            ? getConversationSession(message.conversation)
+            : chatIdToSessionMap.get(message.chatId);
+          await abandonSessionReply(sessionIdForChat, cancelled ? CANCELLED_NOTE : SEND_FAILED_NOTE);
+        }
+        untrackPrompt(message.messageId);
       }
     }
   }
@@ -574,6 +2301,19 @@ function checkPortInUse(host, port) {
   });
 }
 
+// The primary app from config.feishu followed by the extra bots in config.feishu.apps
+function getFeishuAppConfigs(feishuConfig) {
+  const primary = {
+    appId: feishuConfig.appId,
+    appSecret: feishuConfig.appSecret,
+    domain: feishuConfig.domain,
+    eventMode: feishuConfig.eventMode,
+    verificationToken: feishuConfig.verificationToken,
+    encryptKey: feishuConfig.encryptKey
+  };
+  return [primary, ...(feishuConfig.apps || [])];
+}
+
 async function start(config) {
   if (!config) {
     throw new Error('Config is required');
@@ -595,6 +2335,9 @@ async function start(config) {
   setStatus(STATUS.CONNECTING);
   connectionStartTime = Date.now();
   
+  bridgeConfig = config;
+  outboundScheduler = createOutboundScheduler(config.rateLimit);
+
   // Set up logger if provided
   if (config.logger) {
     logger = config.logger;
@@ -618,14 +2361,18 @@ async function start(config) {
     try {
       // Store handler references for cleanup
       handlerReferences.feishu.message = handleFeishuToOpenCode;
-      handlerReferences.feishu.connected = () => {
-        feishuConnected = true;
-        if (logger) logger('success', 'Feishu connected');
+      handlerReferences.feishu.recalled = handleRecalledMessage;
+      handlerReferences.feishu.cardAction = handleCardAction;
+      handlerReferences.feishu.botAdded = handleBotAdded;
+      handlerReferences.feishu.botRemoved = handleBotRemoved;
+      handlerReferences.feishu.connected = ({ appId } = {}) => {
+        feishuConnected = feishu.isConnected();
+        if (logger) logger('success', `Feishu app ${appId} connected`);
         updateConnectionStatus();
       };
-      handlerReferences.feishu.disconnected = () => {
-        feishuConnected = false;
-        if (logger) logger('warn', 'Feishu disconnected');
+      handlerReferences.feishu.disconnected = ({ appId } = {}) => {
+        feishuConnected = feishu.isConnected();
+        if (logger) logger('warn', `Feishu app ${appId} disconnected`);
         updateConnectionStatus();
       };
       handlerReferences.feishu.error = (error) => {
@@ -633,7 +2380,18 @@ async function start(config) {
         emitEvent('error', { source: 'feishu', error });
       };
 
-      handlerReferences.opencode.message = handleOpenCodeToFeishu;
+      handlerReferences.opencode.messageUpdated = handleMessageUpdated;
+      handlerReferences.opencode.partUpdated = handlePartUpdated;
+      handlerReferences.opencode.sessionIdle = handleSessionIdle;
+      handlerReferences.opencode.sessionStatus = handleSessionStatus;
+      handlerReferences.opencode.sessionError = handleSessionError;
+      handlerReferences.opencode.permissionUpdated = handlePermissionUpdated;
+      handlerReferences.opencode.permissionReplied = handlePermissionReplied;
+      handlerReferences.opencode.reconnected = () => {
+        resyncSessionReplies().catch(error => {
+          if (logger) logger('error', 'Failed to re-sync sessions:', error.message);
+        });
+      };
       handlerReferences.opencode.connected = () => {
         opencodeConnected = true;
         if (logger) logger('success', 'OpenCode connected');
@@ -651,17 +2409,36 @@ async function start(config) {
 
       // Register handlers
       feishu.on('message', handlerReferences.feishu.message);
+      feishu.on('recalled', handlerReferences.feishu.recalled);
+      feishu.on('cardAction', handlerReferences.feishu.cardAction);
+      feishu.on('botAdded', handlerReferences.feishu.botAdded);
+      feishu.on('botRemoved', handlerReferences.feishu.botRemoved);
       feishu.on('connected', handlerReferences.feishu.connected);
       feishu.on('disconnected', handlerReferences.feishu.disconnected);
       feishu.on('error', handlerReferences.feishu.error);
 
-      opencode.on('message', handlerReferences.opencode.message);
+      opencode.on(EVENT_TYPES.MESSAGE_UPDATED, handlerReferences.opencode.messageUpdated);
+      opencode.on(EVENT_TYPES.PART_UPDATED, handlerReferences.opencode.partUpdated);
+      opencode.on(EVENT_TYPES.SESSION_IDLE, handlerReferences.opencode.sessionIdle);
+      opencode.on(EVENT_TYPES.SESSION_STATUS, handlerReferences.opencode.sessionStatus);
+      opencode.on(EVENT_TYPES.SESSION_ERROR, handlerReferences.opencode.sessionError);
+      opencode.on(EVENT_TYPES.PERMISSION_UPDATED, handlerReferences.opencode.permissionUpdated);
+      opencode.on(EVENT_TYPES.PERMISSION_REPLIED, handlerReferences.opencode.permissionReplied);
+      opencode.on('reconnected', handlerReferences.opencode.reconnected);
       opencode.on('connected', handlerReferences.opencode.connected);
       opencode.on('disconnected', handlerReferences.opencode.disconnected);
       opencode.on('error', handlerReferences.opencode.error);
 
-      if (logger) logger('info', 'Starting Feishu connection...');
-      await feishu.start(config.feishu.appId, config.feishu.appSecret);
+      // 主应用之外还可以配置多个机器人，消息从收到它的机器人回复
+      for (const app of getFeishuAppConfigs(config.feishu)) {
+        if (logger) logger('info', `Starting Feishu connection for app ${app.appId}...`);
+        await feishu.start(app.appId, app.appSecret, {
+          domain: app.domain,
+          eventMode: app.eventMode,
+          verificationToken: app.verificationToken,
+          encryptKey: app.encryptKey
+        });
+      }
       feishuConnected = true;
 
       if (logger) logger('info', 'Starting OpenCode process...');
@@ -703,6 +2480,22 @@ async function stop() {
   
   clear();
   chatIdToSessionMap.clear();
+  threadSessionMap.clear();
+  for (const sid of Array.from(streamingReplies.keys())) {
+    clearStreamingReply(sid);
+  }
+  sessionTargets.clear();
+  sessionReplies.clear();
+  clearPendingPermissions();
+  sessionTriggers.clear();
+  cancelledTriggers.clear();
+  promptReactions.clear();
+  pendingForwards.clear();
+  if (outboundScheduler) {
+    outboundScheduler.stop();
+    outboundScheduler = null;
+  }
+  promptTracking.clear();
   sessionStatusMap.clear(); // 清除会话状态轮询
   sessionId = null;
 
@@ -713,14 +2506,13 @@ async function stop() {
   
   const stopPromises = [];
   
-  if (feishuConnected) {
-    stopPromises.push(
-      feishu.stop().catch(err => {
-        if (logger) logger('error', 'Error stopping Feishu:', err.message);
-      })
-    );
-    feishuConnected = false;
-  }
+  // 启动中途失败时部分应用可能已连接，总是全部停止
+  stopPromises.push(
+    feishu.stop().catch(err => {
+      if (logger) logger('error', 'Error stopping Feishu:', err.message);
+    })
+  );
+  feishuConnected = false;
   
   if (opencodeConnected) {
     stopPromises.push(
@@ -736,6 +2528,22 @@ async function stop() {
     feishu.off('message', handlerReferences.feishu.message);
     handlerReferences.feishu.message = null;
   }
+  if (handlerReferences.feishu.recalled) {
+    feishu.off('recalled', handlerReferences.feishu.recalled);
+    handlerReferences.feishu.recalled = null;
+  }
+  if (handlerReferences.feishu.cardAction) {
+    feishu.off('cardAction', handlerReferences.feishu.cardAction);
+    handlerReferences.feishu.cardAction = null;
+  }
+  if (handlerReferences.feishu.botAdded) {
+    feishu.off('botAdded', handlerReferences.feishu.botAdded);
+    handlerReferences.feishu.botAdded = null;
+  }
+  if (handlerReferences.feishu.botRemoved) {
+    feishu.off('botRemoved', handlerReferences.feishu.botRemoved);
+    handlerReferences.feishu.botRemoved = null;
+  }
   if (handlerReferences.feishu.connected) {
     feishu.off('connected', handlerReferences.feishu.connected);
     handlerReferences.feishu.connected = null;
@@ -749,9 +2557,37 @@ async function stop() {
     handlerReferences.feishu.error = null;
   }
 
-  if (handlerReferences.opencode.message) {
-    opencode.off('message', handlerReferences.opencode.message);
-    handlerReferences.opencode.message = null;
+  if (handlerReferences.opencode.messageUpdated) {
+    opencode.off(EVENT_TYPES.MESSAGE_UPDATED, handlerReferences.opencode.messageUpdated);
+    handlerReferences.opencode.messageUpdated = null;
+  }
+  if (handlerReferences.opencode.partUpdated) {
+    opencode.off(EVENT_TYPES.PART_UPDATED, handlerReferences.opencode.partUpdated);
+    handlerReferences.opencode.partUpdated = null;
+  }
+  if (handlerReferences.opencode.sessionIdle) {
+    opencode.off(EVENT_TYPES.SESSION_IDLE, handlerReferences.opencode.sessionIdle);
+    handlerReferences.opencode.sessionIdle = null;
+  }
+  if (handlerReferences.opencode.sessionStatus) {
+    opencode.off(EVENT_TYPES.SESSION_STATUS, handlerReferences.opencode.sessionStatus);
+    handlerReferences.opencode.sessionStatus = null;
+  }
+  if (handlerReferences.opencode.sessionError) {
+    opencode.off(EVENT_TYPES.SESSION_ERROR, handlerReferences.opencode.sessionError);
+    handlerReferences.opencode.sessionError = null;
+  }
+  if (handlerReferences.opencode.permissionUpdated) {
+    opencode.off(EVENT_TYPES.PERMISSION_UPDATED, handlerReferences.opencode.permissionUpdated);
+    handlerReferences.opencode.permissionUpdated = null;
+  }
+  if (handlerReferences.opencode.permissionReplied) {
+    opencode.off(EVENT_TYPES.PERMISSION_REPLIED, handlerReferences.opencode.permissionReplied);
+    handlerReferences.opencode.permissionReplied = null;
+  }
+  if (handlerReferences.opencode.reconnected) {
+    opencode.off('reconnected', handlerReferences.opencode.reconnected);
+    handlerReferences.opencode.reconnected = null;
   }
   if (handlerReferences.opencode.connected) {
     opencode.off('connected', handlerReferences.opencode.connected);
@@ -786,7 +2622,8 @@ function getStatus() {
     queueSize: size(),
     connectionStartTime,
     lastErrorTime,
-    sessionCount: chatIdToSessionMap.size
+    sessionCount: chatIdToSessionMap.size + threadSessionMap.size,
+    throttle: outboundScheduler ? outboundScheduler.getState() : null
   };
 }
 
@@ -828,10 +2665,17 @@ function emitEvent(event, data) {
   eventEmitter.emit(event, data);
 }
 
+// Event callbacks from Feishu in webhook mode; the Express route hands the raw request here
+// appId selects the bot the callback URL belongs to; the primary app when omitted
+function handleWebhook(request, appId) {
+  return feishu.handleWebhookRequest(request, appId);
+}
+
 module.exports = {
   start,
   stop,
   getStatus,
+  handleWebhook,
   on,
   off,
   queue: {
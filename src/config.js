@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { REPLY_FORMATS } from './feishu-format.js';
 
 const DEFAULT_CONFIG_PATH = '.config.json';
 
@@ -24,8 +25,52 @@ export const defaultConfig = {
   feishuAppId: '',
   feishuAppSecret: '',
   feishuChatId: '',
+  // 开放平台域名: feishu | lark | 私有部署地址 (https://...)
+  feishuDomain: 'feishu',
+  // 事件接收方式: websocket 长连接 | webhook（飞书回调 POST /webhook/event）
+  eventMode: 'websocket',
+  feishuVerificationToken: '',
+  feishuEncryptKey: '',
+  // 额外的机器人应用: [{ appId, appSecret, domain, eventMode, verificationToken, encryptKey }]
+  feishuApps: [],
   workDir: './work',
-  bridgePort: 3000
+  bridgePort: 3000,
+  // 群聊消息策略: mention-only | all | prefix（单聊始终响应）
+  groupPolicy: 'mention-only',
+  groupPrefix: '/oc',
+  // 机器人入群欢迎语: null 使用内置帮助，空字符串不发送
+  welcomeMessage: null,
+  // OpenCode 回复格式: text | post | card，chatReplyFormats 按群覆盖
+  replyFormat: 'card',
+  chatReplyFormats: {},
+  // 流式回复: 先发卡片，生成过程中持续更新；streamUpdateInterval 为最短更新间隔 (ms)
+  streamReplies: false,
+  streamUpdateInterval: 1000,
+  // 用表情回复标记消息处理状态，设为 false 关闭；某个状态设为空字符串则不显示
+  reactions: {
+    working: 'OnIt',
+    done: 'DONE',
+    failed: 'CrossMark'
+  },
+  // OpenCode 权限请求以卡片发到群里；permissionTimeout (ms) 内无人处理时按 permissionDefault 回复: once | always | reject
+  permissionTimeout: 300000,
+  permissionDefault: 'reject',
+  // 发送限速 (条/秒)：单个群、整个应用
+  chatRateLimit: 5,
+  appRateLimit: 50,
+  // 会话模式: chat 整个群一个会话，thread 每个话题一个会话；chatThreadModes 可按群覆盖
+  threadMode: 'chat',
+  chatThreadModes: {},
+  // 飞书文件消息保存目录（相对于 workDir）及限制
+  inboxDir: '.oclb/inbox',
+  maxAttachmentSize: 20 * 1024 * 1024,
+  allowedAttachmentExtensions: [
+    '.txt', '.log', '.md', '.csv', '.tsv', '.json', '.yaml', '.yml', '.xml',
+    '.patch', '.diff', '.sql', '.html', '.css', '.js', '.ts', '.py', '.go',
+    '.java', '.sh', '.pdf', '.zip'
+  ],
+  // /diff、/file 回传文件的大小上限，飞书最大 30MB
+  maxUploadSize: 30 * 1024 * 1024
 };
 
 function loadConfig(workDir) {
@@ -98,6 +143,156 @@ function validateConfig(config) {
     }
   }
 
+  if (config.feishuDomain !== undefined && config.feishuDomain !== '') {
+    const isKnownDomain = ['feishu', 'lark'].includes(config.feishuDomain);
+    if (typeof config.feishuDomain !== 'string' || (!isKnownDomain && !/^https?:\/\/[^\s/]+/.test(config.feishuDomain))) {
+      errors.push('feishuDomain must be "feishu", "lark" or an http(s) base URL');
+    }
+  }
+
+  if (config.eventMode !== undefined) {
+    const eventModes = ['websocket', 'webhook'];
+    if (!eventModes.includes(config.eventMode)) {
+      errors.push(`eventMode must be one of: ${eventModes.join(', ')}`);
+    } else if (config.eventMode === 'webhook' && (typeof config.feishuVerificationToken !== 'string' || config.feishuVerificationToken.trim() === '')) {
+      errors.push('feishuVerificationToken is required when eventMode is "webhook"');
+    }
+  }
+
+  if (config.feishuEncryptKey !== undefined && typeof config.feishuEncryptKey !== 'string') {
+    errors.push('feishuEncryptKey must be a string');
+  }
+
+  if (config.feishuApps !== undefined) {
+    if (!Array.isArray(config.feishuApps)) {
+      errors.push('feishuApps must be an array');
+    } else {
+      const appIds = new Set([config.feishuAppId]);
+      config.feishuApps.forEach((app, index) => {
+        if (!app || typeof app.appId !== 'string' || app.appId.trim() === '' || typeof app.appSecret !== 'string' || app.appSecret.trim() === '') {
+          errors.push(`feishuApps[${index}] requires appId and appSecret`);
+          return;
+        }
+        if (appIds.has(app.appId)) {
+          errors.push(`feishuApps[${index}]: duplicate appId ${app.appId}`);
+        }
+        appIds.add(app.appId);
+        if (app.eventMode !== undefined && !['websocket', 'webhook'].includes(app.eventMode)) {
+          errors.push(`feishuApps[${index}].eventMode must be one of: websocket, webhook`);
+        } else if (app.eventMode === 'webhook' && !app.verificationToken) {
+          errors.push(`feishuApps[${index}].verificationToken is required when eventMode is "webhook"`);
+        }
+      });
+    }
+  }
+
+  if (config.groupPolicy !== undefined) {
+    const groupPolicies = ['mention-only', 'all', 'prefix'];
+    if (!groupPolicies.includes(config.groupPolicy)) {
+      errors.push(`groupPolicy must be one of: ${groupPolicies.join(', ')}`);
+    }
+  }
+
+  if (config.groupPrefix !== undefined) {
+    if (typeof config.groupPrefix !== 'string' || config.groupPrefix.trim() === '') {
+      errors.push('groupPrefix must be a non-empty string');
+    }
+  }
+
+  if (config.welcomeMessage !== undefined && config.welcomeMessage !== null && typeof config.welcomeMessage !== 'string') {
+    errors.push('welcomeMessage must be a string or null');
+  }
+
+  if (config.replyFormat !== undefined && !REPLY_FORMATS.includes(config.replyFormat)) {
+    errors.push(`replyFormat must be one of: ${REPLY_FORMATS.join(', ')}`);
+  }
+
+  if (config.chatReplyFormats !== undefined) {
+    if (!config.chatReplyFormats || typeof config.chatReplyFormats !== 'object' || Array.isArray(config.chatReplyFormats)) {
+      errors.push('chatReplyFormats must be an object mapping chat IDs to a reply format');
+    } else if (!Object.values(config.chatReplyFormats).every(format => REPLY_FORMATS.includes(format))) {
+      errors.push(`chatReplyFormats values must be one of: ${REPLY_FORMATS.join(', ')}`);
+    }
+  }
+
+  if (config.streamReplies !== undefined && typeof config.streamReplies !== 'boolean') {
+    errors.push('streamReplies must be a boolean');
+  }
+
+  if (config.streamUpdateInterval !== undefined) {
+    if (typeof config.streamUpdateInterval !== 'number' || config.streamUpdateInterval < 200) {
+      errors.push('streamUpdateInterval must be a number of milliseconds (at least 200)');
+    }
+  }
+
+  if (config.reactions !== undefined && config.reactions !== false && config.reactions !== null) {
+    const reactionStates = ['working', 'done', 'failed'];
+    if (typeof config.reactions !== 'object' || Array.isArray(config.reactions)) {
+      errors.push('reactions must be false or an object with working / done / failed emoji types');
+    } else if (!Object.entries(config.reactions).every(([state, emoji]) => reactionStates.includes(state) && typeof emoji === 'string')) {
+      errors.push(`reactions keys must be ${reactionStates.join(', ')} with emoji type strings such as "OnIt"`);
+    }
+  }
+
+  if (config.permissionTimeout !== undefined) {
+    if (typeof config.permissionTimeout !== 'number' || config.permissionTimeout < 10000) {
+      errors.push('permissionTimeout must be a number of milliseconds (at least 10000)');
+    }
+  }
+
+  if (config.permissionDefault !== undefined) {
+    const permissionResponses = ['once', 'always', 'reject'];
+    if (!permissionResponses.includes(config.permissionDefault)) {
+      errors.push(`permissionDefault must be one of: ${permissionResponses.join(', ')}`);
+    }
+  }
+
+  for (const key of ['chatRateLimit', 'appRateLimit']) {
+    if (config[key] !== undefined && (typeof config[key] !== 'number' || config[key] <= 0)) {
+      errors.push(`${key} must be a positive number of messages per second`);
+    }
+  }
+
+  const threadModes = ['chat', 'thread'];
+  if (config.threadMode !== undefined && !threadModes.includes(config.threadMode)) {
+    errors.push(`threadMode must be one of: ${threadModes.join(', ')}`);
+  }
+
+  if (config.chatThreadModes !== undefined) {
+    if (!config.chatThreadModes || typeof config.chatThreadModes !== 'object' || Array.isArray(config.chatThreadModes)) {
+      errors.push('chatThreadModes must be an object mapping chat IDs to a thread mode');
+    } else if (!Object.values(config.chatThreadModes).every(mode => threadModes.includes(mode))) {
+      errors.push(`chatThreadModes values must be one of: ${threadModes.join(', ')}`);
+    }
+  }
+
+  if (config.inboxDir !== undefined) {
+    if (typeof config.inboxDir !== 'string' || config.inboxDir.trim() === '') {
+      errors.push('inboxDir must be a non-empty string');
+    } else if (path.isAbsolute(config.inboxDir) || config.inboxDir.split(/[\\/]/).includes('..')) {
+      errors.push('inboxDir must be a relative path inside workDir');
+    }
+  }
+
+  if (config.maxAttachmentSize !== undefined) {
+    if (typeof config.maxAttachmentSize !== 'number' || config.maxAttachmentSize <= 0) {
+      errors.push('maxAttachmentSize must be a positive number of bytes');
+    }
+  }
+
+  if (config.maxUploadSize !== undefined) {
+    if (typeof config.maxUploadSize !== 'number' || config.maxUploadSize <= 0 || config.maxUploadSize > 30 * 1024 * 1024) {
+      errors.push('maxUploadSize must be a positive number of bytes, at most 30 MB');
+    }
+  }
+
+  if (config.allowedAttachmentExtensions !== undefined) {
+    if (!Array.isArray(config.allowedAttachmentExtensions) ||
+        !config.allowedAttachmentExtensions.every(ext => typeof ext === 'string' && ext.startsWith('.'))) {
+      errors.push('allowedAttachmentExtensions must be an array of extensions like ".log"');
+    }
+  }
+
   return {
     valid: errors.length === 0,
     errors
@@ -0,0 +1,285 @@
+/**
+ * Feishu Outbound Message Formatting Module
+ *
+ * Turns the Markdown produced by OpenCode into Feishu message content:
+ * an interactive card (markdown elements), a rich-text post, or plain text.
+ */
+
+const REPLY_FORMATS = ['text', 'post', 'card'];
+
+// 飞书消息体上限约 30KB，留出 JSON 包装的余量
+const MAX_CONTENT_BYTES = 28 * 1024;
+
+// 单条回复的分段上限，按字节计算，卡片 JSON 转义后仍低于消息体上限
+const MAX_CHUNK_BYTES = 12 * 1024;
+// 为 "(1/3)" 编号预留的空间
+const PART_LABEL_RESERVE = 16;
+
+const FENCE_PATTERN = /^\s*(```+|~~~+)\s*([\w+#.-]*)\s*$/;
+const TABLE_ROW_PATTERN = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+/**
+ * Split Markdown into prose, fenced code and table blocks
+ * @param {string} markdown
+ * @returns {Array<{type: 'markdown'|'code'|'table', text: string, language?: string}>}
+ */
+function parseMarkdownBlocks(markdown) {
+  const lines = (markdown || '').replace(/\r\n/g, '\n').split('\n');
+  const blocks = [];
+  let prose = [];
+
+  const flushProse = () => {
+    const text = prose.join('\n').trim();
+    if (text) {
+      blocks.push({ type: 'markdown', text });
+    }
+    prose = [];
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const fence = lines[i].match(FENCE_PATTERN);
+    if (fence) {
+      const marker = fence[1];
+      const code = [];
+      let j = i + 1;
+      while (j < lines.length && !lines[j].trim().startsWith(marker)) {
+        code.push(lines[j]);
+        j++;
+      }
+      flushProse();
+      blocks.push({ type: 'code', language: fence[2].toLowerCase(), text: code.join('\n') });
+      i = j;
+      continue;
+    }
+
+    if (TABLE_ROW_PATTERN.test(lines[i]) && TABLE_SEPARATOR_PATTERN.test(lines[i + 1] || '')) {
+      const rows = [];
+      let j = i;
+      while (j < lines.length && TABLE_ROW_PATTERN.test(lines[j])) {
+        rows.push(lines[j].trim());
+        j++;
+      }
+      flushProse();
+      blocks.push({ type: 'table', text: rows.join('\n') });
+      i = j - 1;
+      continue;
+    }
+
+    prose.push(lines[i]);
+  }
+  flushProse();
+
+  return blocks;
+}
+
+/**
+ * Rewrite Markdown that Feishu's markdown element does not understand
+ * Headings become bold lines; external images become links.
+ * @param {string} text - Prose Markdown (no fenced code)
+ * @returns {string}
+ */
+function adaptProse(text) {
+  return text
+    .replace(/^[ \t]{0,3}#{1,6}[ \t]+(.+?)[ \t]*#*[ \t]*$/gm, '**$1**')
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)[^)]*\)/g, (match, alt, url) => `[${alt || 'image'}](${url})`);
+}
+
+function renderCodeBlock(block) {
+  return `\`\`\`${block.language || ''}\n${block.text}\n\`\`\``;
+}
+
+/**
+ * Build an interactive card showing Markdown
+ * Tables have no card equivalent and are shown as plain text.
+ * @param {string} markdown
+ * @returns {object} Card JSON
+ */
+function buildMarkdownCard(markdown) {
+  const elements = parseMarkdownBlocks(markdown).map(block => {
+    switch (block.type) {
+      case 'code':
+        return { tag: 'markdown', content: renderCodeBlock(block) };
+      case 'table':
+        return { tag: 'div', text: { tag: 'plain_text', content: block.text } };
+      default:
+        return { tag: 'markdown', content: adaptProse(block.text) };
+    }
+  });
+
+  return {
+    config: { wide_screen_mode: true },
+    elements
+  };
+}
+
+/**
+ * Build rich-text (post) content showing Markdown
+ * @param {string} markdown
+ * @returns {object} Post content ({ zh_cn: { content } })
+ */
+function buildMarkdownPost(markdown) {
+  const paragraphs = parseMarkdownBlocks(markdown).map(block => {
+    switch (block.type) {
+      case 'code':
+        return [{ tag: 'code_block', language: block.language ? block.language.toUpperCase() : 'PLAIN_TEXT', text: block.text }];
+      case 'table':
+        return [{ tag: 'text', text: block.text }];
+      default:
+        return [{ tag: 'md', text: adaptProse(block.text) }];
+    }
+  });
+
+  return {
+    zh_cn: { content: paragraphs }
+  };
+}
+
+/**
+ * Break a line that on its own exceeds the chunk size
+ * @param {string} line
+ * @param {number} maxBytes
+ * @returns {string[]}
+ */
+function splitLongLine(line, maxBytes) {
+  const pieces = [];
+  let piece = '';
+  for (const char of line) {
+    if (Buffer.byteLength(piece + char) > maxBytes) {
+      pieces.push(piece);
+      piece = '';
+    }
+    piece += char;
+  }
+  pieces.push(piece);
+  return pieces;
+}
+
+/**
+ * Split a long reply into chunks that fit in one Feishu message
+ * Breaks at paragraph, then line boundaries. A fenced code block that has
+ * to be cut is closed at the end of one chunk and reopened in the next.
+ * Chunks are numbered "(1/3)" when there is more than one.
+ * @param {string} markdown
+ * @param {number} [maxBytes] - Maximum size of a chunk in bytes
+ * @returns {string[]}
+ */
+function splitMarkdown(markdown, maxBytes = MAX_CHUNK_BYTES) {
+  const text = (markdown || '').replace(/\r\n/g, '\n');
+  if (Buffer.byteLength(text) <= maxBytes) {
+    return [text];
+  }
+
+  const budget = maxBytes - PART_LABEL_RESERVE;
+  const chunks = [];
+  // 每行记录其后的代码块状态，用来判断能否在此处断开
+  let current = [];
+  let currentBytes = 0;
+  let openFence = null;
+
+  const closingFor = (fence) => (fence ? fence.match(FENCE_PATTERN)[1] : '');
+
+  const emit = (lines) => {
+    const chunk = lines.map(entry => entry.line).join('\n').replace(/^\n+|\s+$/g, '');
+    if (chunk) {
+      chunks.push(chunk);
+    }
+  };
+
+  const startChunk = (entries) => {
+    current = entries;
+    currentBytes = entries.reduce((total, entry) => total + Buffer.byteLength(entry.line) + 1, 0);
+  };
+
+  const lines = text.split('\n').flatMap(line => splitLongLine(line, Math.floor(budget / 2)));
+
+  for (const line of lines) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+    let fenceAfter = openFence;
+    if (fenceMatch) {
+      if (!openFence) {
+        fenceAfter = line.trim();
+      } else if (line.trim().startsWith(closingFor(openFence))) {
+        fenceAfter = null;
+      }
+    }
+
+    // 加上这一行后，若在此断开还要补上代码块的结束标记
+    const lineBytes = Buffer.byteLength(line) + 1;
+    const closingBytes = fenceAfter ? Buffer.byteLength(closingFor(fenceAfter)) + 1 : 0;
+    const fits = () => currentBytes + lineBytes + closingBytes <= budget;
+
+    if (current.length > 0 && !fits()) {
+      // 优先在后半段的空行（代码块之外）断开
+      let cut = -1;
+      for (let i = current.length - 1; i >= Math.floor(current.length / 2); i--) {
+        if (current[i].line.trim() === '' && !current[i].fenceAfter) {
+          cut = i;
+          break;
+        }
+      }
+
+      if (cut > 0) {
+        emit(current.slice(0, cut));
+        startChunk(current.slice(cut + 1));
+      }
+      // 空行之后剩下的内容仍然放不下时，在当前行之前硬断开
+      if (current.length > 0 && !fits()) {
+        const closing = openFence ? [{ line: closingFor(openFence), fenceAfter: null }] : [];
+        emit([...current, ...closing]);
+        startChunk(openFence ? [{ line: openFence, fenceAfter: openFence }] : []);
+      }
+    }
+
+    current.push({ line, fenceAfter });
+    currentBytes += lineBytes;
+    openFence = fenceAfter;
+  }
+  emit(current);
+
+  if (chunks.length <= 1) {
+    return chunks;
+  }
+  return chunks.map((chunk, index) => `(${index + 1}/${chunks.length})\n${chunk}`);
+}
+
+/**
+ * Format Markdown for sending in the requested reply format
+ * Falls back to plain text when the rich content would be empty or too large.
+ * @param {string} markdown
+ * @param {string} [format] - 'text', 'post' or 'card'
+ * @returns {{msgType: string, content: object, text: string}}
+ */
+function formatMarkdownMessage(markdown, format = 'text') {
+  const text = markdown || '';
+  const plain = { msgType: 'text', content: { text }, text };
+
+  let message = null;
+  if (format === 'card') {
+    message = { msgType: 'interactive', content: buildMarkdownCard(text), text };
+  } else if (format === 'post') {
+    message = { msgType: 'post', content: buildMarkdownPost(text), text };
+  }
+
+  if (!message) {
+    return plain;
+  }
+
+  const isEmpty = message.msgType === 'interactive'
+    ? message.content.elements.length === 0
+    : message.content.zh_cn.content.length === 0;
+  if (isEmpty || Buffer.byteLength(JSON.stringify(message.content)) > MAX_CONTENT_BYTES) {
+    return plain;
+  }
+
+  return message;
+}
+
+export {
+  REPLY_FORMATS,
+  buildMarkdownCard,
+  buildMarkdownPost,
+  formatMarkdownMessage,
+  parseMarkdownBlocks,
+  splitMarkdown
+};
@@ -0,0 +1,317 @@
+/**
+ * Feishu Message Content Parsing Module
+ *
+ * Converts the JSON `content` of Feishu messages into plain text /
+ * Markdown that can be forwarded to OpenCode as a prompt.
+ */
+
+// Preferred order when a post carries several language bodies
+const POST_LOCALE_PRIORITY = ['zh_cn', 'en_us', 'ja_jp'];
+
+// Post elements that must sit on their own lines
+const POST_BLOCK_TAGS = ['code_block', 'hr'];
+
+/**
+ * Pick the single-language body out of a post content object
+ * @param {object} content - Parsed post content
+ * @returns {object|null} Body with `title` and `content` fields
+ */
+function selectPostBody(content) {
+  if (!content || typeof content !== 'object') {
+    return null;
+  }
+
+  // 接收消息事件中的 post 没有语言包装: { title, content: [[...]] }
+  if (Array.isArray(content.content)) {
+    return content;
+  }
+
+  for (const locale of POST_LOCALE_PRIORITY) {
+    if (content[locale] && Array.isArray(content[locale].content)) {
+      return content[locale];
+    }
+  }
+
+  const fallback = Object.values(content).find(body => body && Array.isArray(body.content));
+  return fallback || null;
+}
+
+/**
+ * Wrap text with Markdown markers according to Feishu text styles
+ * @param {string} text - Raw text
+ * @param {string[]} styles - Feishu style list (bold, italic, lineThrough, underline)
+ * @returns {string}
+ */
+function applyTextStyle(text, styles) {
+  if (!text || !Array.isArray(styles) || styles.length === 0) {
+    return text;
+  }
+
+  // Keep surrounding whitespace outside of the markers, otherwise
+  // Markdown won't recognise them
+  const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+  const [, leading, body, trailing] = match;
+  if (!body) {
+    return text;
+  }
+
+  let styled = body;
+  if (styles.includes('lineThrough')) styled = `~~${styled}~~`;
+  if (styles.includes('italic')) styled = `*${styled}*`;
+  if (styles.includes('bold')) styled = `**${styled}**`;
+
+  return `${leading}${styled}${trailing}`;
+}
+
+/**
+ * Render a single post element as Markdown
+ * @param {object} element - Post element ({ tag, ... })
+ * @returns {string}
+ */
+function renderPostElement(element) {
+  if (!element || typeof element !== 'object') {
+    return '';
+  }
+
+  switch (element.tag) {
+    case 'text':
+      return applyTextStyle(element.text || '', element.style);
+    case 'a': {
+      const label = element.text || element.href || '';
+      return element.href ? `[${label}](${element.href})` : label;
+    }
+    case 'at':
+      // 接收事件里 user_id 是 @_user_N 占位符，交给 resolveMentions 统一处理
+      if (element.user_id && element.user_id.startsWith('@_')) {
+        return element.user_id;
+      }
+      return element.user_name ? `@${element.user_name}` : (element.user_id || '');
+    case 'md':
+      return element.text || '';
+    case 'code_block': {
+      const language = element.language ? element.language.toLowerCase() : '';
+      const code = (element.text || '').replace(/\n$/, '');
+      return `\`\`\`${language}\n${code}\n\`\`\``;
+    }
+    case 'hr':
+      // Blank line first, otherwise the previous line becomes a setext heading
+      return '\n---';
+    case 'emotion':
+      return element.emoji_type ? `:${element.emoji_type}:` : '';
+    case 'img':
+      return '[image]';
+    case 'media':
+      return '[video]';
+    default:
+      return element.text || '';
+  }
+}
+
+/**
+ * Render one post paragraph, breaking lines around block elements
+ * @param {object[]} paragraph - Elements of a single paragraph
+ * @returns {string}
+ */
+function renderPostParagraph(paragraph) {
+  if (!Array.isArray(paragraph)) {
+    return '';
+  }
+
+  const lines = [];
+  let inline = '';
+  for (const element of paragraph) {
+    if (element && POST_BLOCK_TAGS.includes(element.tag)) {
+      if (inline) {
+        lines.push(inline);
+        inline = '';
+      }
+      lines.push(renderPostElement(element));
+    } else {
+      inline += renderPostElement(element);
+    }
+  }
+  if (inline) {
+    lines.push(inline);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert Feishu rich-text (post) content into Markdown
+ * @param {object} content - Parsed post content (single or multi-language)
+ * @returns {string} Markdown text
+ */
+function parsePostContent(content) {
+  const body = selectPostBody(content);
+  if (!body) {
+    return '';
+  }
+
+  let markdown = body.content.map(renderPostParagraph).join('\n');
+  if (body.title) {
+    markdown = `# ${body.title}\n\n${markdown}`;
+  }
+
+  return markdown.trim();
+}
+
+/**
+ * Extract prompt text from a Feishu message content string
+ * @param {string} messageType - Feishu message_type (text, post, ...)
+ * @param {string} rawContent - JSON encoded message content
+ * @returns {string}
+ */
+function parseMessageContent(messageType, rawContent) {
+  if (!rawContent) {
+    return '';
+  }
+
+  let content;
+  try {
+    content = JSON.parse(rawContent);
+  } catch (e) {
+    // If not JSON, use content directly
+    return rawContent;
+  }
+
+  switch (messageType) {
+    case 'post':
+      return parsePostContent(content);
+    default:
+      return content.text || '';
+  }
+}
+
+/**
+ * Collect downloadable resources (images, files) referenced by a message
+ * @param {string} messageType - Feishu message_type
+ * @param {string} rawContent - JSON encoded message content
+ * @returns {Array<{type: string, fileKey: string, fileName?: string}>}
+ */
+function parseMessageAttachments(messageType, rawContent) {
+  if (!rawContent) {
+    return [];
+  }
+
+  let content;
+  try {
+    content = JSON.parse(rawContent);
+  } catch (e) {
+    return [];
+  }
+
+  switch (messageType) {
+    case 'image':
+      return content.image_key ? [{ type: 'image', fileKey: content.image_key }] : [];
+    case 'file':
+      return content.file_key
+        ? [{ type: 'file', fileKey: content.file_key, fileName: content.file_name || content.file_key }]
+        : [];
+    case 'post': {
+      const body = selectPostBody(content);
+      if (!body) {
+        return [];
+      }
+      return body.content
+        .flat()
+        .filter(element => element && element.tag === 'img' && element.image_key)
+        .map(element => ({ type: 'image', fileKey: element.image_key }));
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Replace @_user_N placeholders with readable names and drop the bot's own mention
+ * @param {string} text - Parsed message text
+ * @param {Array<object>} mentions - `message.mentions` from the receive event
+ * @param {string|null} botOpenId - open_id of this bot
+ * @returns {string}
+ */
+function resolveMentions(text, mentions, botOpenId) {
+  if (!text) {
+    return '';
+  }
+
+  let resolved = text;
+
+  // Longest keys first so @_user_10 is not clobbered by @_user_1
+  const sorted = [...(mentions || [])]
+    .filter(mention => mention && mention.key)
+    .sort((a, b) => b.key.length - a.key.length);
+
+  for (const mention of sorted) {
+    // 事件里 id 是对象 { open_id, ... }，消息查询接口里 id 直接是字符串
+    const openId = typeof mention.id === 'string' ? mention.id : mention.id?.open_id;
+    const isBot = botOpenId && openId === botOpenId;
+    if (isBot) {
+      // 只去掉 @机器人 和紧挨着的一个空格，其余空白（如代码缩进）保持原样
+      const key = mention.key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      resolved = resolved.replace(new RegExp(`${key} ?| ${key}`, 'g'), '');
+    } else {
+      resolved = resolved.split(mention.key).join(`@${mention.name || ''}`);
+    }
+  }
+
+  resolved = resolved.split('@_all').join('@all');
+
+  return resolved;
+}
+
+/**
+ * Format a millisecond timestamp as `YYYY-MM-DD HH:mm`
+ * @param {number|null} timestamp
+ * @returns {string}
+ */
+function formatTimestamp(timestamp) {
+  if (!timestamp) {
+    return 'unknown time';
+  }
+  const date = new Date(timestamp);
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Render forwarded (merge_forward) messages as a sender / timestamp transcript
+ * @param {object[]} messages - Normalized child messages ({ messageId, msgType, text, senderId, senderType, createTime, upperMessageId })
+ * @param {string} rootMessageId - ID of the merge_forward message itself
+ * @returns {string}
+ */
+function renderTranscript(messages, rootMessageId) {
+  const parentOf = new Map(messages.map(message => [message.messageId, message.upperMessageId]));
+
+  // Nested forwards are indented under the forward they belong to
+  const depthOf = (message) => {
+    let depth = 0;
+    let parent = message.upperMessageId;
+    while (parent && parent !== rootMessageId && depth < 10) {
+      depth++;
+      parent = parentOf.get(parent);
+    }
+    return depth;
+  };
+
+  const lines = messages.map(message => {
+    const indent = '  '.repeat(depthOf(message));
+    const sender = message.senderType === 'app' ? 'bot' : (message.senderId || 'unknown');
+    const text = message.msgType === 'merge_forward'
+      ? '[forwarded conversation]'
+      : (message.text || `[${message.msgType}]`);
+    const body = text.split('\n').join(`\n${indent}  `);
+    return `${indent}[${formatTimestamp(message.createTime)}] ${sender}: ${body}`;
+  });
+
+  return lines.join('\n');
+}
+
+export {
+  parseMessageContent,
+  parseMessageAttachments,
+  parsePostContent,
+  renderTranscript,
+  resolveMentions
+};
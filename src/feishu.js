@@ -1,28 +1,70 @@
-import { WSClient, EventDispatcher } from '@larksuiteoapi/node-sdk';
+import { Client, WSClient, EventDispatcher, LoggerLevel, withTenantToken } from '@larksuiteoapi/node-sdk';
 import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import path from 'path';
+import { Readable } from 'stream';
+import { parseMessageContent, parseMessageAttachments, resolveMentions } from './feishu-message.js';
 
 /**
  * Feishu WebSocket Long Connection Integration Module
- * 
+ *
  * Provides WebSocket connection to Feishu/Lark platform for
  * real-time message receiving and REST API for message sending.
+ * Several bot apps can run side by side; each has its own credentials,
+ * token cache and event connection, and tags its events with its App ID.
  */
 
-// State management
-let wsClient = null;
-let eventDispatcher = null;
-let connected = false;
-let appId = null;
-let appSecret = null;
+// Open platform hosts; a private deployment passes its own base URL
+const FEISHU_DOMAINS = {
+  feishu: 'https://open.feishu.cn',
+  lark: 'https://open.larksuite.com'
+};
+
+// 'websocket': long connection through WSClient; 'webhook': Feishu POSTs events to our HTTP route
+const EVENT_MODES = ['websocket', 'webhook'];
 
 // Event handlers storage
 const eventHandlers = {
   message: [],
+  recalled: [],
+  cardAction: [],
+  botAdded: [],
+  botRemoved: [],
   connected: [],
   disconnected: [],
   error: []
 };
 
+// Tenant access token cache
+const TOKEN_REFRESH_MARGIN = 5 * 60 * 1000; // 过期前 5 分钟刷新
+const INVALID_TOKEN_CODES = [99991661, 99991663, 99991664, 99991668];
+// 频率限制，稍后重试即可：99991400 为应用级，230020 为单个群
+const APP_RATE_LIMIT_CODES = [99991400];
+const CHAT_RATE_LIMIT_CODES = [230020];
+
+// Cards sent by a bot are kept so a click can be written back into the original card
+const MAX_SENT_CARDS = 200;
+
+// 飞书文件上传上限 30MB，且不允许空文件
+const MAX_UPLOAD_BYTES = 30 * 1024 * 1024;
+
+// file_type values accepted by the upload API; anything else is a generic stream
+const UPLOAD_FILE_TYPES = {
+  '.opus': 'opus',
+  '.mp4': 'mp4',
+  '.pdf': 'pdf',
+  '.doc': 'doc',
+  '.docx': 'doc',
+  '.xls': 'xls',
+  '.xlsx': 'xls',
+  '.ppt': 'ppt',
+  '.pptx': 'ppt'
+};
+
+// Started apps keyed by App ID; the first one started is the default
+const apps = new Map();
+let defaultAppId = null;
+
 // EventEmitter for internal use
 let eventEmitter = new EventEmitter();
 
@@ -32,288 +74,1212 @@ export function setEventEmitter(emitter) {
 }
 
 /**
- * Start Feishu WebSocket connection
- * @param {string} feishuAppId - Feishu app ID
- * @param {string} feishuAppSecret - Feishu app secret
- * @returns {Promise<void>} Resolves when connected
+ * One Feishu bot app: credentials, REST client, token cache and event connection
  */
-async function start(feishuAppId, feishuAppSecret) {
-  if (connected) {
-    throw new Error('Feishu connection already started');
+class FeishuApp {
+  constructor(appId, appSecret, options = {}) {
+    this.appId = appId;
+    this.appSecret = appSecret;
+    this.options = options;
+    this.eventMode = options.eventMode || 'websocket';
+    this.webhookSecrets = {
+      verificationToken: options.verificationToken || null,
+      encryptKey: options.encryptKey || null
+    };
+    this.apiBase = `${FEISHU_DOMAINS.feishu}/open-apis`;
+    // REST client; the token is managed below so it can be shared and refreshed
+    this.apiClient = null;
+    this.wsClient = null;
+    this.eventDispatcher = null;
+    this.connected = false;
+    this.botOpenId = null;
+    this.tokenCache = { token: null, expiresAt: 0 };
+    this.tokenRefreshPromise = null;
+    this.tokenRefreshTimer = null;
+    this.sentCards = new Map(); // messageId -> card
   }
 
-  if (!feishuAppId || !feishuAppSecret) {
-    throw new Error('appId and appSecret are required');
-  }
+  /**
+   * Start the connection (WebSocket client, or webhook callbacks)
+   * @returns {Promise<void>} Resolves when connected
+   */
+  async start() {
+    if (this.connected) {
+      throw new Error('Feishu connection already started');
+    }
 
-  appId = feishuAppId;
-  appSecret = feishuAppSecret;
+    if (!EVENT_MODES.includes(this.eventMode)) {
+      throw new Error(`eventMode must be one of: ${EVENT_MODES.join(', ')}`);
+    }
 
-  try {
-    // Create WSClient
-    wsClient = new WSClient({
-      appId: appId,
-      appSecret: appSecret,
-      loggerLevel: 'info'
+    const domain = resolveDomain(this.options.domain);
+    this.apiBase = `${domain}/open-apis`;
+    this.apiClient = new Client({
+      appId: this.appId,
+      appSecret: this.appSecret,
+      domain,
+      disableTokenCache: true,
+      loggerLevel: LoggerLevel.warn,
+      // 请求失败由 _apiRequest 统一记录，避免 SDK 重复打印整个 axios 错误
+      logger: {
+        error: () => {},
+        warn: (msg) => console.warn('[Feishu SDK]', ...msg),
+        info: () => {},
+        debug: () => {},
+        trace: () => {}
+      }
     });
 
-    // Create EventDispatcher
-    eventDispatcher = new EventDispatcher({
-      useUnifiedToken: true
-    });
-    
-    console.log('[Feishu] EventDispatcher created');
+    // 群聊中需要区分 @ 的是不是本机器人
+    this.botOpenId = await this._fetchBotOpenId();
+
+    // Webhook 模式不建立长连接，事件由 HTTP 回调路由交给 handleWebhookRequest
+    if (this.eventMode === 'webhook') {
+      this.connected = true;
+      console.log(`[Feishu] ${this.appId}: webhook mode, waiting for event callbacks`);
+      this._emit('connected');
+      return;
+    }
+
+    try {
+      // Create WSClient
+      this.wsClient = new WSClient({
+        appId: this.appId,
+        appSecret: this.appSecret,
+        domain,
+        loggerLevel: 'info'
+      });
+
+      // Create EventDispatcher
+      this.eventDispatcher = new EventDispatcher({
+        useUnifiedToken: true
+      });
+
+      console.log('[Feishu] EventDispatcher created');
+
+      // Register the inbound event handlers
+      this.eventDispatcher.register(this._inboundEventHandlers());
+      // Start the WebSocket client
+      console.log(`[Feishu] ${this.appId}: starting WebSocket client...`);
+      await this.wsClient.start({ eventDispatcher: this.eventDispatcher });
+      console.log('[Feishu] WebSocket client started successfully');
+
+      // Mark as connected and emit event
+      this.connected = true;
+      console.log('[Feishu] Connection established, emitting connected event');
+      this._emit('connected');
+
+    } catch (error) {
+      // Clean up on error
+      if (this.wsClient) {
+        try {
+          this.wsClient.close();
+        } catch (e) {
+          // Ignore cleanup errors
+        }
+        this.wsClient = null;
+      }
+      this.eventDispatcher = null;
+      this.connected = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the connection and drop the cached token
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.connected) {
+      return;
+    }
+
+    try {
+      // Close WSClient (webhook mode has none)
+      if (this.wsClient) {
+        this.wsClient.close();
+      }
+      this.connected = false;
+
+      // Clean up
+      this.wsClient = null;
+      this.eventDispatcher = null;
+      this.apiClient = null;
+      this.botOpenId = null;
+      this.tokenRefreshPromise = null;
+      this._invalidateTenantAccessToken();
+      this.sentCards.clear();
 
-    // Register 'im.message.receive_v1' event handler
-    eventDispatcher.register({
+      this._emit('disconnected');
+    } catch (error) {
+      this._emit('error', { message: 'Error stopping connection', error });
+    }
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  // Emit a module event tagged with this app's ID
+  _emit(event, data = {}) {
+    emitEvent(event, { ...data, appId: this.appId });
+  }
+
+  // Inbound event handlers, shared by the WebSocket client and the webhook route
+  _inboundEventHandlers() {
+    return {
       'im.message.receive_v1': async (data) => {
         console.log('[Feishu] ========== RECEIVED im.message.receive_v1 ==========');
         console.log('[Feishu] Raw data:', JSON.stringify(data, null, 2));
         // 飞书消息数据结构：直接在 data 中，没有 event 包装
-        handleIncomingMessage(data);
+        this._handleIncomingMessage(data);
+      },
+      'im.message.recalled_v1': async (data) => {
+        console.log('[Feishu] ========== RECEIVED im.message.recalled_v1 ==========');
+        this._handleRecalledMessage(data);
+      },
+      'im.chat.member.bot.added_v1': async (data) => {
+        console.log('[Feishu] ========== RECEIVED im.chat.member.bot.added_v1 ==========');
+        this._handleBotMembershipChange('botAdded', data);
+      },
+      'im.chat.member.bot.deleted_v1': async (data) => {
+        console.log('[Feishu] ========== RECEIVED im.chat.member.bot.deleted_v1 ==========');
+        this._handleBotMembershipChange('botRemoved', data);
+      },
+      'card.action.trigger': async (data) => {
+        console.log('[Feishu] ========== RECEIVED card.action.trigger ==========');
+        return this._handleCardAction(data);
+      }
+    };
+  }
+
+  /**
+   * Handle incoming message from Feishu
+   * @param {object} data - Message data from Feishu
+   */
+  _handleIncomingMessage(data) {
+    console.log('[Feishu DEBUG] handleIncomingMessage called');
+    try {
+      // 飞书数据结构是扁平的，没有 event 包装
+      // 直接从 data 中获取字段
+      const message = data.message;
+      const chatId = message?.chat_id;
+      const userId = data.sender?.sender_id?.open_id;
+      const messageId = message?.message_id;
+
+      console.log('[Feishu DEBUG] extracted:', { appId: this.appId, chatId, userId, messageId });
+
+      if (!message || !chatId) {
+        console.log('[Feishu DEBUG] Early return: no message or chatId');
+        return;
       }
+      // Check if message mentions the bot (@bot)
+      const mentions = message.mentions || [];
+      const isMentioned = this.botOpenId
+        ? mentions.some(mention => mention.id?.open_id === this.botOpenId)
+        : mentions.length > 0;
+      // text / post 等消息统一解析为 Markdown 文本
+      const text = resolveMentions(
+        parseMessageContent(message.message_type, message.content),
+        mentions,
+        this.botOpenId
+      );
+      // 图片等资源只记录 key，由 bridge 负责下载
+      const attachments = parseMessageAttachments(message.message_type, message.content)
+        .map(attachment => ({ ...attachment, messageId, appId: this.appId }));
+
+      console.log('[Feishu DEBUG] About to emit message event:', { chatId, text: text.substring(0, 50) });
+      // Only emit message if bot is mentioned (for @bot commands)
+      // or allow all messages based on requirements
+      this._emit('message', {
+        chatId,
+        text,
+        userId,
+        messageId,
+        isMentioned,
+        chatType: message.chat_type,
+        messageType: message.message_type,
+        rootId: message.root_id || null,
+        parentId: message.parent_id || null,
+        threadId: message.thread_id || null,
+        attachments,
+        raw: message
+      });
+    } catch (error) {
+      this._emit('error', { message: 'Error handling incoming message', error });
+    }
+  }
+
+  /**
+   * Handle a message being recalled (withdrawn) by its sender
+   * @param {object} data - im.message.recalled_v1 event data
+   */
+  _handleRecalledMessage(data) {
+    if (!data?.message_id) {
+      this._emit('error', { message: 'Invalid recall event payload', error: new Error('message_id is missing') });
+      return;
+    }
+
+    this._emit('recalled', {
+      messageId: data.message_id,
+      chatId: data.chat_id || null,
+      recallTime: data.recall_time ? Number(data.recall_time) : null
     });
-    // Start the WebSocket client
-    console.log('[Feishu] Starting WebSocket client...');
-    await wsClient.start({ eventDispatcher });
-    console.log('[Feishu] WebSocket client started successfully');
+  }
 
-    // Mark as connected and emit event
-    connected = true;
-    console.log('[Feishu] Connection established, emitting connected event');
-    emitEvent('connected');
+  /**
+   * Handle the bot being added to or removed from a chat
+   * @param {string} event - 'botAdded' or 'botRemoved'
+   * @param {object} data - im.chat.member.bot.added_v1 / deleted_v1 event data
+   */
+  _handleBotMembershipChange(event, data) {
+    if (!data?.chat_id) {
+      this._emit('error', { message: `Invalid ${event} event payload`, error: new Error('chat_id is missing') });
+      return;
+    }
 
-    // Mark as connected and emit event
-    connected = true;
-    emitEvent('connected');
+    this._emit(event, {
+      chatId: data.chat_id,
+      chatName: data.name || null,
+      operatorId: data.operator_id?.open_id || null
+    });
+  }
 
-  } catch (error) {
-    // Clean up on error
-    if (wsClient) {
+  /**
+   * Handle interactive card button callback from Feishu
+   * @param {object} data - card.action.trigger event data
+   * @returns {Promise<object>} Callback response (toast) for Feishu
+   */
+  async _handleCardAction(data) {
+    const action = data?.action;
+    const messageId = data?.context?.open_message_id;
+    const operatorId = data?.operator?.open_id;
+
+    if (!action || !messageId || !operatorId) {
+      this._emit('error', {
+        message: 'Invalid card action payload',
+        error: new Error('card.action.trigger is missing action, message ID or operator'),
+        data
+      });
+      return { toast: { type: 'error', content: '无效的卡片操作' } };
+    }
+
+    const value = action.value && typeof action.value === 'object' ? action.value : { value: action.value };
+    const label = value.label || action.option || value.action || action.tag || 'action';
+
+    this._emit('cardAction', {
+      messageId,
+      chatId: data.context.open_chat_id || null,
+      operator: {
+        openId: operatorId,
+        userId: data.operator.user_id || null
+      },
+      value,
+      option: action.option || null,
+      tag: action.tag || null
+    });
+
+    // 在原卡片上标注谁点了什么，并移除按钮防止重复点击
+    const card = this.sentCards.get(messageId);
+    if (card) {
       try {
-        wsClient.close();
-      } catch (e) {
-        // Ignore cleanup errors
+        await this.updateCard(messageId, markCardActionTaken(card, operatorId, label));
+      } catch (error) {
+        this._emit('error', { message: 'Error updating card after action', error });
       }
-      wsClient = null;
     }
-    eventDispatcher = null;
-    connected = false;
-    throw error;
+
+    return { toast: { type: 'success', content: `已选择: ${label}` } };
   }
-}
 
-/**
- * Handle incoming message from Feishu
- * @param {object} data - Message data from Feishu
- */
-function handleIncomingMessage(data) {
-  console.log('[Feishu DEBUG] handleIncomingMessage called');
-  try {
-    // 飞书数据结构是扁平的，没有 event 包装
-    // 直接从 data 中获取字段
-    const message = data.message;
-    const chatId = message?.chat_id;
-    const userId = data.sender?.sender_id?.open_id;
-    const messageId = message?.message_id;
+  /**
+   * Decrypt the `encrypt` field of an event callback
+   * AES-256-CBC with SHA-256(Encrypt Key) as the key; the first 16 bytes are the IV.
+   * @param {string} encrypted - Base64 ciphertext
+   * @returns {object} Decrypted payload
+   */
+  _decryptEventPayload(encrypted) {
+    const { encryptKey } = this.webhookSecrets;
+    if (!encryptKey) {
+      throw new Error('Encrypted event received but no Encrypt Key is configured');
+    }
+
+    const key = crypto.createHash('sha256').update(encryptKey).digest();
+    const buffer = Buffer.from(encrypted, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, buffer.subarray(0, 16));
+    const plain = Buffer.concat([decipher.update(buffer.subarray(16)), decipher.final()]).toString('utf8');
+    return JSON.parse(plain);
+  }
+
+  // 配置了 Encrypt Key 时飞书会对每个请求签名: sha256(timestamp + nonce + encryptKey + body)
+  _isValidSignature(headers, rawBody) {
+    const { encryptKey } = this.webhookSecrets;
+    if (!encryptKey) {
+      return true;
+    }
+
+    const timestamp = headers['x-lark-request-timestamp'];
+    const nonce = headers['x-lark-request-nonce'];
+    const signature = headers['x-lark-signature'];
+    if (!timestamp || !nonce || !signature) {
+      return false;
+    }
+
+    const expected = crypto.createHash('sha256')
+      .update(timestamp + nonce + encryptKey + rawBody)
+      .digest('hex');
+    return safeEqual(expected, signature);
+  }
+
+  _isValidVerificationToken(token) {
+    const { verificationToken } = this.webhookSecrets;
+    return !verificationToken || safeEqual(token || '', verificationToken);
+  }
+
+  /**
+   * Handle an event callback POSTed by Feishu (eventMode "webhook")
+   * Verifies and decrypts the request, then passes the event to the same
+   * handlers the WebSocket client uses.
+   * @param {object} request
+   * @param {object} request.headers - Request headers (lower-case names)
+   * @param {Buffer|string} request.rawBody - Body exactly as received, needed for the signature
+   * @returns {Promise<{status: number, body: object}>} Response to send back to Feishu
+   */
+  async handleWebhookRequest({ headers = {}, rawBody }) {
+    if (!this.connected || this.eventMode !== 'webhook') {
+      return { status: 503, body: { msg: 'webhook mode is not active' } };
+    }
+
+    const raw = Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : (rawBody || '');
+    let payload;
+    try {
+      payload = JSON.parse(raw);
+      if (payload.encrypt) {
+        payload = this._decryptEventPayload(payload.encrypt);
+      }
+    } catch (error) {
+      console.warn('[Feishu] Rejected webhook request:', error.message);
+      return { status: 400, body: { msg: 'invalid payload' } };
+    }
 
-    console.log('[Feishu DEBUG] extracted:', { chatId, userId, messageId });
+    // 在开放平台保存请求地址时的校验，原样返回 challenge
+    if (payload.type === 'url_verification') {
+      if (!this._isValidVerificationToken(payload.token)) {
+        console.warn('[Feishu] Rejected URL verification: verification token mismatch');
+        return { status: 401, body: { msg: 'invalid token' } };
+      }
+      return { status: 200, body: { challenge: payload.challenge } };
+    }
+
+    if (!this._isValidSignature(headers, raw)) {
+      console.warn('[Feishu] Rejected webhook request: signature mismatch');
+      return { status: 401, body: { msg: 'invalid signature' } };
+    }
+    if (!this._isValidVerificationToken(payload.header?.token ?? payload.token)) {
+      console.warn('[Feishu] Rejected webhook request: verification token mismatch');
+      return { status: 401, body: { msg: 'invalid token' } };
+    }
+
+    const data = flattenEventPayload(payload);
+    const handler = this._inboundEventHandlers()[data.event_type];
+    if (!handler) {
+      console.log('[Feishu DEBUG] No handler for webhook event:', data.event_type);
+      return { status: 200, body: {} };
+    }
+
+    const result = await handler(data);
+    return { status: 200, body: result || {} };
+  }
 
-    if (!message || !chatId) {
-      console.log('[Feishu DEBUG] Early return: no message or chatId');
+  /**
+   * Get a tenant access token for REST API calls
+   * The token is cached until shortly before it expires; concurrent callers
+   * share a single refresh request.
+   * @returns {Promise<string>} Tenant access token
+   */
+  async _getTenantAccessToken() {
+    if (!this.apiClient) {
+      throw new Error('Feishu connection not started. Call start() first.');
+    }
+
+    const { token, expiresAt } = this.tokenCache;
+    if (token && Date.now() < expiresAt - TOKEN_REFRESH_MARGIN) {
+      return token;
+    }
+
+    return this._refreshTenantAccessToken();
+  }
+
+  /**
+   * Fetch a new tenant access token and schedule the next background refresh
+   * @returns {Promise<string>} Tenant access token
+   */
+  _refreshTenantAccessToken() {
+    if (this.tokenRefreshPromise) {
+      return this.tokenRefreshPromise;
+    }
+
+    // stop() 会清空 apiClient；停止后才返回的结果不再写入缓存
+    const apiClient = this.apiClient;
+    const refresh = (async () => {
+      let tokenResponse;
+      try {
+        tokenResponse = await apiClient.request({
+          method: 'POST',
+          url: `${this.apiBase}/auth/v3/tenant_access_token/internal`,
+          data: {
+            app_id: this.appId,
+            app_secret: this.appSecret
+          }
+        });
+      } catch (error) {
+        throw createApiError('get access token', error.response?.data, error.response?.headers, error);
+      }
+
+      if (this.apiClient !== apiClient) {
+        throw new Error('Feishu connection stopped');
+      }
+      if (tokenResponse.code !== 0) {
+        throw createApiError('get access token', tokenResponse);
+      }
+
+      // expire 单位是秒
+      const expiresIn = (tokenResponse.expire || 0) * 1000;
+      this.tokenCache = {
+        token: tokenResponse.tenant_access_token,
+        expiresAt: Date.now() + expiresIn
+      };
+      this._scheduleTokenRefresh(expiresIn - TOKEN_REFRESH_MARGIN);
+
+      return this.tokenCache.token;
+    })().finally(() => {
+      if (this.tokenRefreshPromise === refresh) {
+        this.tokenRefreshPromise = null;
+      }
+    });
+
+    this.tokenRefreshPromise = refresh;
+    return refresh;
+  }
+
+  /**
+   * Refresh the token in the background before it expires
+   * @param {number} delay - Milliseconds until the refresh
+   */
+  _scheduleTokenRefresh(delay) {
+    if (this.tokenRefreshTimer) {
+      clearTimeout(this.tokenRefreshTimer);
+      this.tokenRefreshTimer = null;
+    }
+    if (delay <= 0) {
       return;
     }
-    // Check if message mentions the bot (@bot)
-    const mentions = message.mentions || [];
-    const isMentioned = mentions.length > 0;
-    let text = '';
-    if (message.content) {
+
+    this.tokenRefreshTimer = setTimeout(() => {
+      this.tokenRefreshTimer = null;
+      this._refreshTenantAccessToken().catch(error => {
+        // 后台刷新失败不影响使用，下一次调用时会重新获取
+        console.error(`[Feishu] ${this.appId}: background token refresh failed:`, error.message);
+      });
+    }, delay);
+    this.tokenRefreshTimer.unref?.();
+  }
+
+  /**
+   * Drop the cached token so the next call fetches a new one
+   */
+  _invalidateTenantAccessToken() {
+    this.tokenCache = { token: null, expiresAt: 0 };
+    if (this.tokenRefreshTimer) {
+      clearTimeout(this.tokenRefreshTimer);
+      this.tokenRefreshTimer = null;
+    }
+  }
+
+  /**
+   * Run an authorized request, retrying once with a fresh token if the
+   * current one was rejected
+   * @param {function(string): Promise<object>} send - Performs the request with the given token
+   * @returns {Promise<{data: *, headers: object}>}
+   */
+  async _requestWithToken(send) {
+    const isInvalidToken = (data) => INVALID_TOKEN_CODES.includes(data?.code);
+
+    for (let attempt = 0; ; attempt++) {
+      const accessToken = await this._getTenantAccessToken();
+      let response;
       try {
-        const content = JSON.parse(message.content);
-        text = content.text || '';
-      } catch (e) {
-        // If not JSON, use content directly
-        text = message.content;
+        response = await send(accessToken);
+      } catch (error) {
+        if (attempt === 0 && isInvalidToken(error.response?.data)) {
+          console.warn('[Feishu] Access token rejected, refreshing and retrying');
+          this._invalidateTenantAccessToken();
+          continue;
+        }
+        throw error;
+      }
+
+      if (attempt === 0 && isInvalidToken(response?.data)) {
+        console.warn('[Feishu] Access token rejected, refreshing and retrying');
+        this._invalidateTenantAccessToken();
+        continue;
       }
+      return response;
     }
+  }
 
-    console.log('[Feishu DEBUG] About to emit message event:', { chatId, text: text.substring(0, 50) });
-    // Only emit message if bot is mentioned (for @bot commands)
-    // or allow all messages based on requirements
-    emitEvent('message', {
-      chatId,
-      text,
-      userId,
-      messageId,
-      isMentioned,
-      raw: message
+  /**
+   * Call a Feishu open platform API with the tenant access token
+   * All outbound REST calls go through here.
+   * @param {string} action - What is being done, used in error messages (e.g. 'send message')
+   * @param {string} method - HTTP method
+   * @param {string} apiPath - Path below /open-apis, e.g. /im/v1/messages
+   * @param {object} [options]
+   * @param {object} [options.params] - Query parameters
+   * @param {object|function(): object} [options.data] - JSON body, or a function building a fresh body for each attempt
+   * @param {object} [options.headers] - Extra request headers
+   * @param {string} [options.responseType] - 'arraybuffer' for binary downloads
+   * @param {number} [options.maxContentLength] - Abort when the response is larger (bytes)
+   * @returns {Promise<{data: *, headers: object}>} Response body and headers
+   * @throws {FeishuApiError}
+   */
+  async _apiRequest(action, method, apiPath, options = {}) {
+    const { params, data, headers, responseType, maxContentLength } = options;
+
+    let response;
+    try {
+      response = await this._requestWithToken(accessToken => this.apiClient.request({
+        method,
+        url: `${this.apiBase}${apiPath}`,
+        params,
+        data: typeof data === 'function' ? data() : data,
+        headers,
+        responseType,
+        maxContentLength,
+        $return_headers: true
+      }, withTenantToken(accessToken)));
+    } catch (error) {
+      if (error instanceof FeishuApiError) {
+        throw error;
+      }
+      // 二进制下载失败时响应体也是 arraybuffer，这里只解析 JSON 错误
+      const body = error.response?.data;
+      const apiError = createApiError(action, body && typeof body === 'object' && !Buffer.isBuffer(body) ? body : null, error.response?.headers, error);
+      console.error('[Feishu DEBUG] API request failed:', {
+        appId: this.appId,
+        action,
+        code: apiError.code,
+        msg: apiError.msg,
+        logId: apiError.logId,
+        status: apiError.status
+      });
+      throw apiError;
+    }
+
+    if (responseType !== 'arraybuffer' && response.data?.code !== 0) {
+      const apiError = createApiError(action, response.data, response.headers);
+      console.error('[Feishu DEBUG] API request failed:', {
+        appId: this.appId,
+        action,
+        code: apiError.code,
+        msg: apiError.msg,
+        logId: apiError.logId
+      });
+      throw apiError;
+    }
+
+    return response;
+  }
+
+  /**
+   * Resolve the open_id of this bot, used to detect @mentions of the bot
+   * @returns {Promise<string|null>} open_id, or null if it cannot be resolved
+   */
+  async _fetchBotOpenId() {
+    try {
+      const response = await this._apiRequest('get bot info', 'GET', '/bot/v3/info');
+
+      console.log(`[Feishu] ${this.appId}: bot open_id resolved:`, response.data.bot?.open_id);
+      return response.data.bot?.open_id || null;
+    } catch (error) {
+      // 无法获取时退化为“任意 @ 都算提及”
+      console.error(`[Feishu] ${this.appId}: failed to resolve bot open_id, any mention will count:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Download a resource (image, file) attached to a message
+   * @param {string} messageId - Message the resource belongs to
+   * @param {string} fileKey - image_key or file_key of the resource
+   * @param {string} type - Resource type ('image' or 'file')
+   * @param {object} [options]
+   * @param {number} [options.maxSize] - Abort when the resource is larger (bytes)
+   * @returns {Promise<{data: Buffer, contentType: string}>}
+   */
+  async downloadMessageResource(messageId, fileKey, type = 'image', options = {}) {
+    if (!messageId || !fileKey) {
+      throw new Error('messageId and fileKey are required');
+    }
+
+    try {
+      const response = await this._apiRequest('download resource', 'GET', `/im/v1/messages/${messageId}/resources/${fileKey}`, {
+        params: { type },
+        responseType: 'arraybuffer',
+        maxContentLength: options.maxSize || -1
+      });
+
+      return {
+        data: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || 'application/octet-stream'
+      };
+    } catch (error) {
+      if (options.maxSize && /maxContentLength/.test(error.cause?.message || '')) {
+        const sizeError = new Error(`Resource exceeds size limit of ${options.maxSize} bytes`);
+        sizeError.code = 'ERR_RESOURCE_TOO_LARGE';
+        throw sizeError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload a file to Feishu so it can be sent as a file message
+   * @param {string} fileName - Name shown in the chat
+   * @param {Buffer} data - File content
+   * @returns {Promise<string>} file_key of the uploaded file
+   * @throws {FeishuApiError}
+   */
+  async uploadFile(fileName, data) {
+    if (!fileName || !Buffer.isBuffer(data)) {
+      throw new Error('fileName and data are required');
+    }
+
+    if (data.length === 0) {
+      const emptyError = new Error('Cannot upload an empty file');
+      emptyError.code = 'ERR_FILE_EMPTY';
+      throw emptyError;
+    }
+    if (data.length > MAX_UPLOAD_BYTES) {
+      const sizeError = new Error(`File exceeds upload limit of ${MAX_UPLOAD_BYTES} bytes`);
+      sizeError.code = 'ERR_RESOURCE_TOO_LARGE';
+      throw sizeError;
+    }
+
+    console.log('[Feishu DEBUG] Uploading file:', { fileName, size: data.length });
+
+    // 以带 path 的流上传，multipart 里才会带上 filename；流只能读一次，令牌重试时重新创建
+    const response = await this._apiRequest('upload file', 'POST', '/im/v1/files', {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      data: () => ({
+        file_type: UPLOAD_FILE_TYPES[path.extname(fileName).toLowerCase()] || 'stream',
+        file_name: fileName,
+        file: Object.assign(Readable.from([data]), { path: fileName })
+      })
     });
-  } catch (error) {
-    emitEvent('error', { message: 'Error handling incoming message', error });
+
+    return response.data.data.file_key;
   }
-}
 
-/**
- * Stop Feishu WebSocket connection
- * @returns {Promise<void>}
- */
-async function stop() {
-  if (!connected || !wsClient) {
-    connected = false;
-    return;
+  /**
+   * Add an emoji reaction to a message
+   * @param {string} messageId - Message to react to
+   * @param {string} emojiType - Feishu emoji type, e.g. OnIt, DONE, CrossMark
+   * @returns {Promise<string>} reaction_id, needed to remove the reaction again
+   * @throws {FeishuApiError}
+   */
+  async addReaction(messageId, emojiType) {
+    if (!messageId || !emojiType) {
+      throw new Error('messageId and emojiType are required');
+    }
+
+    const response = await this._apiRequest('add reaction', 'POST', `/im/v1/messages/${messageId}/reactions`, {
+      data: {
+        reaction_type: { emoji_type: emojiType }
+      }
+    });
+
+    return response.data.data?.reaction_id || null;
   }
 
-  try {
-    // Close WSClient
-    wsClient.close();
-    connected = false;
+  /**
+   * Remove a reaction the bot added earlier
+   * @param {string} messageId - Message the reaction belongs to
+   * @param {string} reactionId - reaction_id returned by addReaction
+   * @returns {Promise<void>}
+   * @throws {FeishuApiError}
+   */
+  async removeReaction(messageId, reactionId) {
+    if (!messageId || !reactionId) {
+      throw new Error('messageId and reactionId are required');
+    }
 
-    // Clean up
-    wsClient = null;
-    eventDispatcher = null;
-    appId = null;
-    appSecret = null;
+    await this._apiRequest('remove reaction', 'DELETE', `/im/v1/messages/${messageId}/reactions/${reactionId}`);
+  }
 
-    emitEvent('disconnected');
-  } catch (error) {
-    emitEvent('error', { message: 'Error stopping connection', error });
+  /**
+   * Send text message to Feishu chat via REST API
+   * @param {string} chatId - Chat ID to send message to
+   * @param {string} text - Text content to send
+   * @returns {Promise<object>} Response from Feishu API
+   * @throws {FeishuApiError}
+   */
+  async sendMessage(chatId, text) {
+    if (!chatId || !text) {
+      throw new Error('chatId and text are required');
+    }
+
+    if (!this.apiClient) {
+      throw new Error('Feishu connection not started. Call start() first.');
+    }
+
+    console.log('[Feishu DEBUG] Sending message:', { appId: this.appId, chatId, text: text.substring(0, 50) });
+
+    const response = await this._apiRequest('send message', 'POST', '/im/v1/messages', {
+      params: { receive_id_type: 'chat_id' },
+      data: {
+        receive_id: chatId,
+        content: JSON.stringify({ text }),
+        msg_type: 'text'
+      }
+    });
+
+    console.log('[Feishu DEBUG] Message sent successfully:', response.data);
+    return response.data;
   }
-}
 
-/**
- * Send typing status to Feishu chat
- * @param {string} chatId - Chat ID to send typing status to
- * @returns {Promise<object>} Response from Feishu API
- */
-async function sendTypingStatus(chatId) {
-  if (!chatId) {
-    throw new Error('chatId is required');
+  /**
+   * Send a message built by feishu-format.js (text, post or interactive card)
+   * Falls back to plain text when Feishu rejects the rich content.
+   * @param {string} chatId - Chat ID to send message to
+   * @param {{msgType: string, content: object, text: string}} message - Formatted message
+   * @returns {Promise<object>} Response from Feishu API
+   * @throws {FeishuApiError}
+   */
+  async sendContent(chatId, message) {
+    if (!chatId || !message) {
+      throw new Error('chatId and message are required');
+    }
+
+    if (message.msgType === 'text') {
+      return this.sendMessage(chatId, message.text);
+    }
+
+    try {
+      if (message.msgType === 'interactive') {
+        return await this.sendCard(chatId, message.content);
+      }
+
+      const response = await this._apiRequest('send message', 'POST', '/im/v1/messages', {
+        params: { receive_id_type: 'chat_id' },
+        data: {
+          receive_id: chatId,
+          content: JSON.stringify(message.content),
+          msg_type: message.msgType
+        }
+      });
+      return response.data;
+    } catch (error) {
+      if (!(error instanceof FeishuApiError) || error.retryable || !message.text) {
+        throw error;
+      }
+      console.warn(`[Feishu] ${message.msgType} message rejected, falling back to text:`, error.message);
+      return this.sendMessage(chatId, message.text);
+    }
   }
 
-  if (!appId || !appSecret) {
-    throw new Error('Feishu connection not started. Call start() first.');
+  /**
+   * Query a message through the REST API
+   * For merge_forward messages the items also contain every forwarded child message.
+   * @param {string} messageId - Message ID
+   * @returns {Promise<object[]>} Raw message items
+   */
+  async _fetchMessageItems(messageId) {
+    if (!messageId) {
+      throw new Error('messageId is required');
+    }
+
+    const response = await this._apiRequest('get message', 'GET', `/im/v1/messages/${messageId}`);
+    return response.data.data?.items || [];
   }
 
-  // 飞书正在输入状态 API
-  const url = `https://open.feishu.cn/open-apis/im/v1/messages/typing`;
+  /**
+   * Fetch a single message, e.g. the message a user replied to
+   * @param {string} messageId - Message ID
+   * @returns {Promise<object|null>} { messageId, msgType, text, senderId, senderType, createTime, ... }
+   */
+  async getMessage(messageId) {
+    const items = await this._fetchMessageItems(messageId);
+    const item = items.find(candidate => candidate.message_id === messageId) || items[0];
+    return item ? this._normalizeMessageItem(item) : null;
+  }
 
-  const body = {
-    chat_id: chatId,
-    type: 'typing'
-  };
+  /**
+   * Fetch the child messages of a merge_forward message, in display order
+   * @param {string} messageId - ID of the merge_forward message
+   * @returns {Promise<object[]>} Normalized child messages
+   */
+  async getMergeForwardMessages(messageId) {
+    const items = await this._fetchMessageItems(messageId);
+    return items
+      .filter(item => item.message_id !== messageId)
+      .map(item => this._normalizeMessageItem(item));
+  }
 
-  try {
-    const { default: axios } = await import('axios');
-
-    // Get tenant access token
-    const tokenResponse = await axios.post(
-      'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
-      {
-        app_id: appId,
-        app_secret: appSecret
+  /**
+   * Convert a message item from the REST API into the shape used by the bridge
+   * @param {object} item - Item from the message query API
+   * @returns {object}
+   */
+  _normalizeMessageItem(item) {
+    const content = item.body?.content || '';
+    return {
+      messageId: item.message_id,
+      msgType: item.msg_type,
+      text: resolveMentions(parseMessageContent(item.msg_type, content), item.mentions, this.botOpenId),
+      senderId: item.sender?.id || null,
+      senderType: item.sender?.sender_type || null,
+      createTime: item.create_time ? Number(item.create_time) : null,
+      upperMessageId: item.upper_message_id || null,
+      attachments: parseMessageAttachments(item.msg_type, content)
+        .map(attachment => ({ ...attachment, messageId: item.message_id, appId: this.appId }))
+    };
+  }
+
+  /**
+   * Reply to a message via REST API
+   * Rich content falls back to plain text when Feishu rejects it.
+   * @param {string} messageId - Message to reply to
+   * @param {string|{msgType: string, content: object, text: string}} content - Text, or a message built by feishu-format.js
+   * @param {object} [options]
+   * @param {boolean} [options.replyInThread] - Reply inside the message's thread
+   * @returns {Promise<object>} Response from Feishu API
+   * @throws {FeishuApiError}
+   */
+  async reply(messageId, content, options = {}) {
+    const message = typeof content === 'string'
+      ? { msgType: 'text', content: { text: content }, text: content }
+      : content;
+
+    if (!messageId || !message || (message.msgType === 'text' && !message.text)) {
+      throw new Error('messageId and content are required');
+    }
+
+    const replyInThread = !!options.replyInThread;
+    const body = message.msgType === 'interactive' ? withCardConfig(message.content) : message.content;
+    console.log('[Feishu DEBUG] Replying to message:', {
+      appId: this.appId,
+      messageId,
+      replyInThread,
+      msgType: message.msgType,
+      text: (message.text || '').substring(0, 50)
+    });
+
+    try {
+      const response = await this._apiRequest('reply to message', 'POST', `/im/v1/messages/${messageId}/reply`, {
+        data: {
+          content: JSON.stringify(body),
+          msg_type: message.msgType,
+          reply_in_thread: replyInThread
+        }
+      });
+
+      if (message.msgType === 'interactive') {
+        this._rememberCard(response.data.data?.message_id, body);
+      }
+      return response.data;
+    } catch (error) {
+      if (message.msgType === 'text' || !(error instanceof FeishuApiError) || error.retryable || !message.text) {
+        throw error;
       }
-    );
+      console.warn(`[Feishu] ${message.msgType} reply rejected, falling back to text:`, error.message);
+      return this.reply(messageId, message.text, options);
+    }
+  }
 
-    if (tokenResponse.data.code !== 0) {
-      throw new Error(`Failed to get access token: ${tokenResponse.data.msg}`);
+  /**
+   * Send an interactive card to Feishu chat via REST API
+   * @param {string} chatId - Chat ID to send the card to
+   * @param {object} card - Card JSON (config / header / elements)
+   * @returns {Promise<object>} Response from Feishu API
+   * @throws {FeishuApiError}
+   */
+  async sendCard(chatId, card) {
+    if (!chatId || !card) {
+      throw new Error('chatId and card are required');
     }
 
-    const accessToken = tokenResponse.data.tenant_access_token;
+    const cardWithConfig = withCardConfig(card);
 
-    console.log('[Feishu DEBUG] Sending typing status:', { chatId });
-    
-    const response = await axios.post(url, body, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
+    const response = await this._apiRequest('send card', 'POST', '/im/v1/messages', {
+      params: { receive_id_type: 'chat_id' },
+      data: {
+        receive_id: chatId,
+        content: JSON.stringify(cardWithConfig),
+        msg_type: 'interactive'
       }
     });
 
-    console.log('[Feishu DEBUG] Typing status sent successfully:', response.data);
+    this._rememberCard(response.data.data?.message_id, cardWithConfig);
     return response.data;
-  } catch (error) {
-    console.error('[Feishu DEBUG] Send typing status failed:', {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      chatId
+  }
+
+  /**
+   * Replace the content of a card message previously sent by this bot
+   * @param {string} messageId - Card message ID
+   * @param {object} card - New card JSON
+   * @returns {Promise<object>} Response from Feishu API
+   * @throws {FeishuApiError}
+   */
+  async updateCard(messageId, card) {
+    if (!messageId || !card) {
+      throw new Error('messageId and card are required');
+    }
+
+    const cardWithConfig = withCardConfig(card);
+
+    const response = await this._apiRequest('update card', 'PATCH', `/im/v1/messages/${messageId}`, {
+      data: { content: JSON.stringify(cardWithConfig) }
     });
-    // 打字状态失败不应该阻塞主流程，只记录错误
-    return null;
+
+    this._rememberCard(messageId, cardWithConfig);
+    return response.data;
+  }
+
+  _rememberCard(messageId, card) {
+    if (!messageId) {
+      return;
+    }
+    this.sentCards.delete(messageId);
+    this.sentCards.set(messageId, card);
+    if (this.sentCards.size > MAX_SENT_CARDS) {
+      this.sentCards.delete(this.sentCards.keys().next().value);
+    }
+  }
+}
+
+/**
+ * Build a copy of a card with its buttons replaced by a "who clicked what" note
+ * @param {object} card - Original card
+ * @param {string} operatorId - open_id of the user who clicked
+ * @param {string} label - Label of the clicked action
+ * @returns {object} Updated card
+ */
+function markCardActionTaken(card, operatorId, label) {
+  const elements = (card.elements || []).filter(element => element.tag !== 'action');
+  elements.push({
+    tag: 'note',
+    elements: [
+      { tag: 'lark_md', content: `<at id=${operatorId}></at> 选择了 **${label}**` }
+    ]
+  });
+  return { ...card, elements };
+}
+
+// Constant-time comparison of two strings
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Same shape the SDK hands to WSClient handlers: header and event fields merged
+function flattenEventPayload(payload) {
+  if ('schema' in payload) {
+    const { header, event, ...rest } = payload;
+    return { event_type: header?.event_type, ...rest, ...header, ...event };
   }
+  const { event, ...rest } = payload;
+  return { event_type: event?.type, ...event, ...rest };
 }
 
 /**
- * Send text message to Feishu chat via REST API
- * @param {string} chatId - Chat ID to send message to
- * @param {string} text - Text content to send
- * @returns {Promise<object>} Response from Feishu API
+ * Turn the configured domain into an open platform base URL
+ * @param {string} [domain] - 'feishu', 'lark' or a base URL such as https://open.example.com
+ * @returns {string} Base URL without trailing slash
  */
-async function sendMessage(chatId, text) {
-  if (!chatId || !text) {
-    throw new Error('chatId and text are required');
+function resolveDomain(domain) {
+  if (!domain) {
+    return FEISHU_DOMAINS.feishu;
   }
+  if (FEISHU_DOMAINS[domain]) {
+    return FEISHU_DOMAINS[domain];
+  }
+  return domain.replace(/\/+$/, '').replace(/\/open-apis$/, '');
+}
 
-  if (!appId || !appSecret) {
-    throw new Error('Feishu connection not started. Call start() first.');
+/**
+ * Error returned by a Feishu REST call
+ * `retryable` tells transient failures (network, rate limit, 5xx) from
+ * permanent ones such as missing permissions or a chat the bot has left.
+ * Rate-limit errors also carry `rateLimitScope` ('app' or 'chat') and
+ * `retryAfter` (ms, when Feishu says how long to wait).
+ */
+class FeishuApiError extends Error {
+  constructor(message, {
+    code = null,
+    msg = null,
+    logId = null,
+    status = null,
+    retryable = false,
+    rateLimitScope = null,
+    retryAfter = null,
+    cause
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'FeishuApiError';
+    this.code = code;
+    this.msg = msg;
+    this.logId = logId;
+    this.status = status;
+    this.retryable = retryable;
+    this.rateLimitScope = rateLimitScope;
+    this.retryAfter = retryAfter;
   }
+}
 
-  // receive_id_type must be in URL query params, not body
-  const url = `https://open.feishu.cn/open-apis/im/v1/messages?receive_id_type=chat_id`;
+/**
+ * Build a FeishuApiError from a Feishu response body or a failed HTTP request
+ * @param {string} action - What was being done, used in the message
+ * @param {object} [body] - Feishu response body ({ code, msg, ... })
+ * @param {object} [headers] - Response headers
+ * @param {Error} [cause] - Underlying HTTP error
+ * @returns {FeishuApiError}
+ */
+function createApiError(action, body, headers, cause) {
+  const status = cause?.response?.status || null;
+  const code = typeof body?.code === 'number' ? body.code : null;
+  const msg = body?.msg || cause?.message || 'Unknown error';
+  const logId = headers?.['x-tt-logid'] || body?.error?.log_id || null;
 
-  const body = {
-    receive_id: chatId,
-    content: JSON.stringify({ text }),
-    msg_type: 'text'
-  };
+  let rateLimitScope = null;
+  if (CHAT_RATE_LIMIT_CODES.includes(code)) {
+    rateLimitScope = 'chat';
+  } else if (APP_RATE_LIMIT_CODES.includes(code) || status === 429) {
+    rateLimitScope = 'app';
+  }
 
-  try {
-    // Import axios for HTTP requests
-    const { default: axios } = await import('axios');
-
-    // Get tenant access token first
-    const tokenResponse = await axios.post(
-      'https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal',
-      {
-        app_id: appId,
-        app_secret: appSecret
-      }
-    );
+  // Retry-After / x-ogw-ratelimit-reset 都以秒为单位
+  const resetSeconds = Number(headers?.['retry-after'] || headers?.['x-ogw-ratelimit-reset']);
+  const retryAfter = rateLimitScope && resetSeconds > 0 ? resetSeconds * 1000 : null;
 
-    if (tokenResponse.data.code !== 0) {
-      throw new Error(`Failed to get access token: ${tokenResponse.data.msg}`);
-    }
+  // 没有响应（网络错误）、限流、服务端错误都可以重试，其余视为永久失败
+  // 没有 cause 时是 HTTP 200 里带的错误码，由错误码决定
+  const retryable = (!!cause && !cause.response) ||
+    status >= 500 ||
+    rateLimitScope !== null ||
+    INVALID_TOKEN_CODES.includes(code);
 
-    const accessToken = tokenResponse.data.tenant_access_token;
+  const detail = [code !== null && `code ${code}`, logId && `log_id ${logId}`].filter(Boolean).join(', ');
+  return new FeishuApiError(
+    `Failed to ${action}: ${msg}${detail ? ` (${detail})` : ''}`,
+    { code, msg, logId, status, retryable, rateLimitScope, retryAfter, cause }
+  );
+}
 
-    // Send the message
-    console.log('[Feishu DEBUG] Sending message:', { url, body, chatId, text: text.substring(0, 50) });
-    
-    const response = await axios.post(url, body, {
-      headers: {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json'
-      }
-    });
+// update_multi 允许之后通过 updateCard 更新所有人看到的卡片
+function withCardConfig(card) {
+  return { ...card, config: { update_multi: true, ...card.config } };
+}
 
-    console.log('[Feishu DEBUG] Message sent successfully:', response.data);
-    return response.data;
+/**
+ * Start a Feishu bot app
+ * The first app started becomes the default used by the module-level send functions.
+ * @param {string} feishuAppId - Feishu app ID
+ * @param {string} feishuAppSecret - Feishu app secret
+ * @param {object} [options]
+ * @param {string} [options.domain] - 'feishu', 'lark' or the base URL of a private deployment
+ * @param {string} [options.eventMode] - 'websocket' (default) or 'webhook'
+ * @param {string} [options.verificationToken] - Verification Token of the event subscription (webhook mode)
+ * @param {string} [options.encryptKey] - Encrypt Key of the event subscription (webhook mode)
+ * @returns {Promise<FeishuApp>} The started app
+ */
+async function start(feishuAppId, feishuAppSecret, options = {}) {
+  if (!feishuAppId || !feishuAppSecret) {
+    throw new Error('appId and appSecret are required');
+  }
+
+  if (apps.has(feishuAppId)) {
+    throw new Error(`Feishu app ${feishuAppId} already started`);
+  }
+
+  const app = new FeishuApp(feishuAppId, feishuAppSecret, options);
+  apps.set(feishuAppId, app);
+  try {
+    await app.start();
   } catch (error) {
-    console.error('[Feishu DEBUG] Send message failed:', {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      fieldViolations: error.response?.data?.error?.field_violations,
-      chatId,
-      text: text.substring(0, 50)
-    });
-    throw new Error(`Failed to send message: ${error.message}`);
+    apps.delete(feishuAppId);
+    throw error;
   }
+
+  if (!defaultAppId) {
+    defaultAppId = feishuAppId;
+  }
+  return app;
 }
 
+/**
+ * Stop one app, or all of them
+ * @param {string} [appId] - App to stop; every app when omitted
+ * @returns {Promise<void>}
+ */
+async function stop(appId) {
+  const targets = appId ? [apps.get(appId)].filter(Boolean) : Array.from(apps.values());
+  for (const app of targets) {
+    await app.stop();
+    apps.delete(app.appId);
+  }
+
+  if (!apps.has(defaultAppId)) {
+    defaultAppId = apps.keys().next().value || null;
+  }
+}
+
+/**
+ * Get a started app
+ * @param {string} [appId] - App ID; the default app when omitted
+ * @returns {FeishuApp}
+ */
+function getApp(appId) {
+  const app = apps.get(appId || defaultAppId);
+  if (!app) {
+    throw new Error(appId
+      ? `Feishu app ${appId} is not started`
+      : 'Feishu connection not started. Call start() first.');
+  }
+  return app;
+}
+
+/**
+ * Route a webhook event callback to the app it was sent to
+ * @param {object} request - { headers, rawBody }, see FeishuApp#handleWebhookRequest
+ * @param {string} [appId] - Target app; the default app when omitted
+ * @returns {Promise<{status: number, body: object}>}
+ */
+async function handleWebhookRequest(request, appId) {
+  const app = apps.get(appId || defaultAppId);
+  if (!app) {
+    return { status: appId ? 404 : 503, body: { msg: appId ? `unknown app ${appId}` : 'webhook mode is not active' } };
+  }
+  return app.handleWebhookRequest(request);
+}
+
+// Module-level shortcuts that use the default app
+const sendMessage = (...args) => getApp().sendMessage(...args);
+const sendContent = (...args) => getApp().sendContent(...args);
+const addReaction = (...args) => getApp().addReaction(...args);
+const removeReaction = (...args) => getApp().removeReaction(...args);
+const reply = (...args) => getApp().reply(...args);
+const sendCard = (...args) => getApp().sendCard(...args);
+const updateCard = (...args) => getApp().updateCard(...args);
+const getMessage = (...args) => getApp().getMessage(...args);
+const getMergeForwardMessages = (...args) => getApp().getMergeForwardMessages(...args);
+const downloadMessageResource = (...args) => getApp().downloadMessageResource(...args);
+const uploadFile = (...args) => getApp().uploadFile(...args);
+
 /**
  * Register event listener
- * @param {string} event - Event name ('message', 'connected', 'disconnected', 'error')
+ * @param {string} event - Event name ('message', 'recalled', 'cardAction', 'botAdded', 'botRemoved', 'connected', 'disconnected', 'error')
  * @param {function} handler - Event handler function
  * @returns {function} Unsubscribe function
  */
@@ -322,7 +1288,7 @@ function on(event, handler) {
     throw new Error('Event name and handler function are required');
   }
 
-  const validEvents = ['message', 'connected', 'disconnected', 'error'];
+  const validEvents = ['message', 'recalled', 'cardAction', 'botAdded', 'botRemoved', 'connected', 'disconnected', 'error'];
   if (!validEvents.includes(event)) {
     throw new Error(`Invalid event name. Must be one of: ${validEvents.join(', ')}`);
   }
@@ -372,18 +1338,37 @@ function emitEvent(event, data) {
 
 /**
  * Get connection status
+ * @param {string} [appId] - App to check; when omitted, whether every started app is connected
  * @returns {boolean}
  */
-function isConnected() {
-  return connected;
+function isConnected(appId) {
+  if (appId) {
+    return !!apps.get(appId)?.isConnected();
+  }
+  return apps.size > 0 && Array.from(apps.values()).every(app => app.isConnected());
 }
 
 // Export public API
 export {
+  FeishuApiError,
+  FeishuApp,
+  resolveDomain,
+  createApiError,
   start,
   stop,
+  getApp,
+  handleWebhookRequest,
   sendMessage,
-  sendTypingStatus,
+  sendContent,
+  addReaction,
+  removeReaction,
+  reply,
+  sendCard,
+  updateCard,
+  getMessage,
+  getMergeForwardMessages,
+  downloadMessageResource,
+  uploadFile,
   on,
   off,
   isConnected
@@ -391,10 +1376,23 @@ export {
 
 // Default export with all functions
 export default {
+  FeishuApiError,
+  FeishuApp,
   start,
   stop,
+  getApp,
+  handleWebhookRequest,
   sendMessage,
-  sendTypingStatus,
+  sendContent,
+  addReaction,
+  removeReaction,
+  reply,
+  sendCard,
+  updateCard,
+  getMessage,
+  getMergeForwardMessages,
+  downloadMessageResource,
+  uploadFile,
   on,
   off,
   isConnected
@@ -24,7 +24,12 @@ const logs = [];
 const logEmitter = new EventEmitter();
 
 // Middleware
-app.use(express.json());
+// 保留原始请求体，飞书 webhook 的签名按原文计算
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.static(path.join(__dirname, '../public')));
 
 // Logging function
@@ -56,6 +61,7 @@ function addLog(level, message, data = null) {
 app.get('/api/status', (req, res) => {
   res.json({
     status: bridgeStatus,
+    throttle: bridgeModule?.getStatus ? bridgeModule.getStatus().throttle : null,
     timestamp: new Date().toISOString()
   });
 });
@@ -152,8 +158,8 @@ app.post('/api/start', async (req, res) => {
     }
 
     // Dynamically import bridge module
-    const { start, getStatus } = await import('./bridge.cjs');
-    bridgeModule = { start, getStatus, stop: null };
+    const { start, getStatus, handleWebhook } = await import('./bridge.cjs');
+    bridgeModule = { start, getStatus, handleWebhook, stop: null };
 
     addLog('info', 'Initializing bridge modules...');
     
@@ -167,7 +173,46 @@ app.post('/api/start', async (req, res) => {
       feishu: {
         appId: config.feishuAppId,
         appSecret: config.feishuAppSecret,
-        chatId: config.feishuChatId || null
+        chatId: config.feishuChatId || null,
+        domain: config.feishuDomain || 'feishu',
+        eventMode: config.eventMode,
+        verificationToken: config.feishuVerificationToken,
+        encryptKey: config.feishuEncryptKey,
+        apps: config.feishuApps || []
+      },
+      group: {
+        policy: config.groupPolicy,
+        prefix: config.groupPrefix
+      },
+      welcomeMessage: config.welcomeMessage,
+      reply: {
+        format: config.replyFormat,
+        chatFormats: config.chatReplyFormats
+      },
+      stream: {
+        enabled: config.streamReplies,
+        interval: config.streamUpdateInterval
+      },
+      reactions: config.reactions,
+      permission: {
+        timeout: config.permissionTimeout,
+        defaultResponse: config.permissionDefault
+      },
+      rateLimit: {
+        chatRate: config.chatRateLimit,
+        appRate: config.appRateLimit
+      },
+      thread: {
+        mode: config.threadMode,
+        chatModes: config.chatThreadModes
+      },
+      inbox: {
+        dir: config.inboxDir,
+        maxSize: config.maxAttachmentSize,
+        allowedExtensions: config.allowedAttachmentExtensions
+      },
+      upload: {
+        maxSize: config.maxUploadSize
       },
       logger: addLog
     });
@@ -218,6 +263,25 @@ app.post('/api/stop', async (req, res) => {
   }
 });
 
+// POST /webhook/event[/:appId] - Feishu event callbacks when eventMode is "webhook"
+// Extra bots from feishuApps use their App ID as the last path segment
+app.post('/webhook/event/:appId?', async (req, res) => {
+  if (!bridgeModule?.handleWebhook) {
+    return res.status(503).json({ msg: 'Bridge is not running' });
+  }
+
+  try {
+    const { status, body } = await bridgeModule.handleWebhook({
+      headers: req.headers,
+      rawBody: req.rawBody
+    }, req.params.appId);
+    res.status(status).json(body);
+  } catch (error) {
+    addLog('error', 'Failed to handle Feishu event callback: ' + error.message);
+    res.status(500).json({ msg: 'Internal server error' });
+  }
+});
+
 // POST /api/kill-opencode - Kill opencode process by port
 app.post('/api/kill-opencode', async (req, res) => {
   try {
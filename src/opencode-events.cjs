@@ -0,0 +1,132 @@
+/**
+ * OpenCode Event Decoding
+ *
+ * Parses the Server-Sent Events stream served by OpenCode at /event and
+ * turns each payload into a typed event. OpenCode only sends `data:` lines;
+ * the event type is the `type` field of the JSON payload, and the details
+ * are under `properties`.
+ */
+
+// Events the bridge relies on; anything else is passed through under its own type
+const EVENT_TYPES = {
+  SERVER_CONNECTED: 'server.connected',
+  MESSAGE_UPDATED: 'message.updated',
+  MESSAGE_REMOVED: 'message.removed',
+  PART_UPDATED: 'message.part.updated',
+  SESSION_STATUS: 'session.status',
+  SESSION_IDLE: 'session.idle',
+  SESSION_ERROR: 'session.error',
+  PERMISSION_UPDATED: 'permission.updated',
+  PERMISSION_REPLIED: 'permission.replied'
+};
+
+/**
+ * Incremental SSE parser
+ * Feed it chunks as they arrive; it returns the events completed by each chunk.
+ * Multi-line `data:` fields are joined with "\n" as the SSE spec requires.
+ */
+class SSEDecoder {
+  constructor() {
+    this.buffer = '';
+    this._reset();
+  }
+
+  _reset() {
+    this.event = null;
+    this.dataLines = [];
+    this.id = null;
+  }
+
+  /**
+   * @param {string} chunk - Text received from the stream
+   * @returns {Array<{event: string|null, data: string, id: string|null}>} Completed events
+   */
+  push(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split('\n');
+    // 最后一行可能不完整，留到下一个 chunk
+    this.buffer = lines.pop() || '';
+
+    const events = [];
+    for (const rawLine of lines) {
+      const line = rawLine.replace(/\r$/, '');
+      if (line === '') {
+        if (this.event !== null || this.dataLines.length > 0) {
+          events.push({ event: this.event, data: this.dataLines.join('\n'), id: this.id });
+        }
+        this._reset();
+        continue;
+      }
+      if (line.startsWith(':')) {
+        // 注释行，服务端常用来保活
+        continue;
+      }
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      let value = colon === -1 ? '' : line.slice(colon + 1);
+      if (value.startsWith(' ')) {
+        value = value.slice(1);
+      }
+
+      if (field === 'event') {
+        this.event = value;
+      } else if (field === 'data') {
+        this.dataLines.push(value);
+      } else if (field === 'id') {
+        this.id = value;
+      }
+    }
+    return events;
+  }
+}
+
+// Session an event belongs to; OpenCode puts it in a different place per type
+function findSessionID(properties) {
+  return properties.sessionID
+    || properties.info?.sessionID
+    || properties.part?.sessionID
+    || null;
+}
+
+/**
+ * Turn an OpenCode event payload into a typed event
+ * Every event has `type`, `sessionID` (null for global events) and the raw
+ * `properties`; known types also get their main fields at the top level.
+ * @param {object} payload - Parsed JSON of one `data:` field
+ * @returns {object|null} Typed event, or null when the payload is not an OpenCode event
+ */
+function decodeEvent(payload) {
+  if (!payload || typeof payload !== 'object' || typeof payload.type !== 'string') {
+    return null;
+  }
+
+  const properties = payload.properties && typeof payload.properties === 'object' ? payload.properties : {};
+  const event = { type: payload.type, sessionID: findSessionID(properties), properties };
+
+  switch (payload.type) {
+    case EVENT_TYPES.MESSAGE_UPDATED:
+      return { ...event, info: properties.info || null };
+    case EVENT_TYPES.MESSAGE_REMOVED:
+      return { ...event, messageID: properties.messageID || null };
+    case EVENT_TYPES.PART_UPDATED:
+      return {
+        ...event,
+        messageID: properties.part?.messageID || null,
+        part: properties.part || null,
+        delta: properties.delta ?? null
+      };
+    case EVENT_TYPES.SESSION_STATUS:
+      return { ...event, status: properties.status || null };
+    case EVENT_TYPES.SESSION_ERROR:
+      return { ...event, error: properties.error || null };
+    case EVENT_TYPES.PERMISSION_UPDATED:
+      return { ...event, permission: properties };
+    case EVENT_TYPES.PERMISSION_REPLIED:
+      return { ...event, permissionID: properties.permissionID || null, response: properties.response || null };
+    default:
+      return event;
+  }
+}
+
+module.exports = { EVENT_TYPES, SSEDecoder, decodeEvent };
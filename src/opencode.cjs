@@ -1,6 +1,15 @@
 const { spawn } = require('child_process');
 const http = require('http');
 const { EventEmitter } = require('events');
+const { SSEDecoder, decodeEvent } = require('./opencode-events.cjs');
+
+// /event 连接参数，可通过 config.eventStream 覆盖（毫秒）
+const EVENT_STREAM_DEFAULTS = {
+  reconnectBaseDelay: 1000,
+  reconnectMaxDelay: 30000,
+  // OpenCode 定期发送 server.heartbeat，超过这个时间没有任何数据就重连
+  heartbeatTimeout: 60000
+};
 
 class OpenCodeClient extends EventEmitter {
   constructor() {
@@ -12,6 +21,10 @@ class OpenCodeClient extends EventEmitter {
     this.connected = false;
     this.healthCheckInterval = null;
     this.eventSourceController = null;
+    this.eventStreamEnabled = false;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
   }
 
   async start(config) {
@@ -119,6 +132,11 @@ class OpenCodeClient extends EventEmitter {
         this.healthCheckInterval = null;
       }
 
+      this.eventStreamEnabled = false;
+      if (this.reconnectTimer) {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+      }
       if (this.eventSourceController) {
         this.eventSourceController.abort();
         this.eventSourceController = null;
@@ -217,10 +235,13 @@ class OpenCodeClient extends EventEmitter {
     });
   }
 
-  async sendMessage(sessionId, text) {
+  // content: plain text, or an array of OpenCode parts (text / file)
+  // 请求要等 OpenCode 回答完才返回；回复内容由 /event 事件流拼出，这里不使用响应内容
+  async sendMessage(sessionId, content) {
     return new Promise((resolve, reject) => {
       const { host, port } = this.config;
-      const postData = JSON.stringify({ parts: [{ type: 'text', text }] });
+      const parts = Array.isArray(content) ? content : [{ type: 'text', text: content }];
+      const postData = JSON.stringify({ parts });
 
       const options = {
         hostname: host,
@@ -241,15 +262,6 @@ class OpenCodeClient extends EventEmitter {
         res.on('end', () => {
           console.log('[OpenCode DEBUG] sendMessage response:', res.statusCode, responseData);
           if (res.statusCode >= 200 && res.statusCode < 300) {
-            // Parse response and emit message event so bridge can forward to Feishu
-            try {
-              const parsedResponse = JSON.parse(responseData);
-              if (parsedResponse.parts || parsedResponse.text) {
-                this.emit('message', parsedResponse);
-              }
-            } catch (e) {
-              // Ignore parse errors
-            }
             resolve();
           } else {
             reject(new Error(`HTTP ${res.statusCode}: ${responseData}`));
@@ -263,16 +275,109 @@ class OpenCodeClient extends EventEmitter {
     });
   }
 
-  async getEventStream() {
+  async abortSession(sessionId) {
     return new Promise((resolve, reject) => {
-      if (this.eventSourceController) {
-        resolve();
-        return;
-      }
+      const { host, port } = this.config;
+
+      const options = {
+        hostname: host,
+        port: port,
+        path: `/session/${sessionId}/abort`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': 0
+        }
+      };
+
+      const req = http.request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(true);
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.end();
+    });
+  }
 
+  // Answer a permission.updated request: 'once' | 'always' | 'reject'
+  async respondToPermission(sessionId, permissionId, response) {
+    return new Promise((resolve, reject) => {
+      const { host, port } = this.config;
+      const postData = JSON.stringify({ response });
+
+      const options = {
+        hostname: host,
+        port: port,
+        path: `/session/${sessionId}/permissions/${permissionId}`,
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(postData)
+        }
+      };
+
+      const req = http.request(options, (res) => {
+        let data = '';
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve(true);
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.write(postData);
+      req.end();
+    });
+  }
+
+  // Open the /event stream; after it drops it is reopened with backoff until stop()
+  async getEventStream() {
+    if (this.eventSourceController) {
+      return;
+    }
+
+    this.eventStreamEnabled = true;
+    this.reconnectAttempts = 0;
+    await this._connectEventStream();
+  }
+
+  _connectEventStream() {
+    return new Promise((resolve, reject) => {
       const { host, port } = this.config;
       const controller = new AbortController();
       this.eventSourceController = controller;
+      let settled = false;
+      let lost = false;
+
+      // 同一个连接的 end / error / close 只处理一次；首次连接失败直接 reject
+      const onLost = (reason) => {
+        if (lost || this.eventSourceController !== controller) {
+          return;
+        }
+        lost = true;
+        this._clearHeartbeatTimer();
+        this.eventSourceController = null;
+        if (!settled) {
+          settled = true;
+          reject(reason);
+          return;
+        }
+        console.warn('[OpenCode] Event stream lost:', reason.message);
+        this.emit('disconnected');
+        this._scheduleEventStreamReconnect();
+      };
 
       const options = {
         hostname: host,
@@ -287,77 +392,118 @@ class OpenCodeClient extends EventEmitter {
 
       const req = http.request(options, (res) => {
         if (res.statusCode !== 200) {
-          reject(new Error(`HTTP ${res.statusCode}`));
+          res.resume();
+          onLost(new Error(`HTTP ${res.statusCode}`));
           return;
         }
 
         res.setEncoding('utf8');
 
-        let buffer = '';
+        // 一个事件可能跨多个 chunk，解析状态保存在 decoder 里
+        const decoder = new SSEDecoder();
+
         res.on('data', (chunk) => {
-          buffer += chunk;
-          const lines = buffer.split('\n');
-          buffer = lines.pop() || '';
-
-          let currentEvent = null;
-          let currentData = null;
-
-          for (const line of lines) {
-            if (line.startsWith('event: ')) {
-              currentEvent = line.slice(7).trim();
-            } else if (line.startsWith('data: ')) {
-              currentData = line.slice(6);
-            } else if (line === '' && currentEvent) {
-              this._handleSSEEvent(currentEvent, currentData);
-              currentEvent = null;
-              currentData = null;
-            }
+          this._resetHeartbeatTimer(req);
+          for (const { event, data } of decoder.push(chunk)) {
+            this._handleSSEEvent(event, data);
           }
         });
 
-        res.on('end', () => {
-          this.eventSourceController = null;
-          this.emit('disconnected');
-        });
-
+        res.on('error', onLost);
+        res.on('end', () => onLost(new Error('Event stream ended')));
+        res.on('close', () => onLost(new Error('Event stream closed')));
+
+        settled = true;
+        this._resetHeartbeatTimer(req);
+        const reconnected = this.reconnectAttempts > 0;
+        this.reconnectAttempts = 0;
+        if (reconnected) {
+          console.log('[OpenCode] Event stream reconnected');
+          this.emit('connected');
+          this.emit('reconnected');
+        }
         resolve();
       });
 
-      req.on('error', (err) => {
-        this.eventSourceController = null;
-        reject(err);
-      });
+      req.on('error', onLost);
 
       controller.signal.addEventListener('abort', () => {
+        // 主动关闭，不触发重连
+        this.eventSourceController = null;
+        this._clearHeartbeatTimer();
         req.destroy();
+        if (!settled) {
+          settled = true;
+          reject(new Error('Event stream closed'));
+        }
       });
 
       req.end();
     });
   }
 
+  // 一段时间没有收到任何数据（包括 server.heartbeat）就认为连接已卡死，断开后重连
+  _resetHeartbeatTimer(req) {
+    this._clearHeartbeatTimer();
+    const { heartbeatTimeout } = this._eventStreamOptions();
+    this.heartbeatTimer = setTimeout(() => {
+      req.destroy(new Error(`No data for ${heartbeatTimeout}ms`));
+    }, heartbeatTimeout);
+  }
+
+  _clearHeartbeatTimer() {
+    if (this.heartbeatTimer) {
+      clearTimeout(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  _eventStreamOptions() {
+    return { ...EVENT_STREAM_DEFAULTS, ...(this.config?.eventStream || {}) };
+  }
+
+  // Capped exponential backoff with jitter, so a restarting server is not hammered
+  _scheduleEventStreamReconnect() {
+    if (!this.eventStreamEnabled || this.reconnectTimer) {
+      return;
+    }
+
+    const { reconnectBaseDelay, reconnectMaxDelay } = this._eventStreamOptions();
+    const backoff = Math.min(reconnectMaxDelay, reconnectBaseDelay * 2 ** this.reconnectAttempts);
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    this.reconnectAttempts++;
+    console.log(`[OpenCode] Reconnecting event stream in ${delay}ms (attempt ${this.reconnectAttempts})`);
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.eventStreamEnabled) {
+        return;
+      }
+      this._connectEventStream().catch((error) => {
+        console.warn('[OpenCode] Event stream reconnect failed:', error.message);
+        this._scheduleEventStreamReconnect();
+      });
+    }, delay);
+  }
+
+  // Emit a typed event (see opencode-events.cjs) under its OpenCode type, e.g. 'session.idle'
   _handleSSEEvent(event, data) {
+    let payload;
     try {
-      const parsed = data ? JSON.parse(data) : null;
-
-      switch (event) {
-        case 'connected':
-          this.emit('connected', parsed);
-          break;
-        case 'message':
-          this.emit('message', parsed);
-          break;
-        case 'disconnected':
-          this.emit('disconnected', parsed);
-          break;
-        case 'error':
-          this.emit('error', new Error(parsed?.message || 'Unknown error'));
-          break;
-        default:
-          this.emit(event, parsed);
-      }
+      payload = data ? JSON.parse(data) : null;
     } catch (e) {
-      this.emit(event, data);
+      console.warn('[OpenCode] Ignoring malformed event data:', String(data).substring(0, 200));
+      return;
+    }
+
+    const decoded = decodeEvent(payload);
+    if (decoded) {
+      this.emit(decoded.type, decoded);
+      return;
+    }
+
+    if (event === 'error') {
+      this.emit('error', new Error(payload?.message || 'Unknown error'));
     }
   }
 
@@ -440,6 +586,49 @@ class OpenCodeClient extends EventEmitter {
       req.end();
     });
   }
+
+  // Messages of a session as [{ info, parts }], oldest first
+  async getSessionMessages(sessionId) {
+    return this._getJSON(`/session/${sessionId}/message`);
+  }
+
+  // { [sessionId]: { type: 'busy' | 'retry' | 'idle' } }; idle sessions may be left out
+  async getSessionStatusMap() {
+    return this._getJSON('/session/status');
+  }
+
+  _getJSON(path) {
+    return new Promise((resolve, reject) => {
+      const { host, port } = this.config;
+
+      const req = http.request({
+        hostname: host,
+        port: port,
+        path,
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json'
+        }
+      }, (res) => {
+        let data = '';
+        res.on('data', (chunk) => data += chunk);
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            try {
+              resolve(JSON.parse(data));
+            } catch (e) {
+              reject(new Error(`Failed to parse response: ${e.message}`));
+            }
+          } else {
+            reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          }
+        });
+      });
+
+      req.on('error', reject);
+      req.end();
+    });
+  }
 }
 
 const client = new OpenCodeClient();
@@ -449,12 +638,16 @@ module.exports = {
   start: (config) => client.start(config),
   stop: () => client.stop(),
   createSession: () => client.createSession(),
-  sendMessage: (sessionId, text) => client.sendMessage(sessionId, text),
+  sendMessage: (sessionId, content) => client.sendMessage(sessionId, content),
   on: (event, handler) => client.on(event, handler),
   off: (event, handler) => client.off(event, handler),
+  abortSession: (sessionId) => client.abortSession(sessionId),
+  respondToPermission: (sessionId, permissionId, response) => client.respondToPermission(sessionId, permissionId, response),
   getEventStream: () => client.getEventStream(),
   getState: () => client.getState(),
   getSessionStatus: (sessionId) => client.getSessionStatus(sessionId),
   getSessionTodo: (sessionId) => client.getSessionTodo(sessionId),
+  getSessionMessages: (sessionId) => client.getSessionMessages(sessionId),
+  getSessionStatusMap: () => client.getSessionStatusMap(),
   _client: client
 };
@@ -0,0 +1,237 @@
+/**
+ * Outbound Scheduler
+ *
+ * Rate-limits messages sent to Feishu with a token bucket per chat and one
+ * per app. Messages for the same chat are sent one at a time, in the order
+ * they were scheduled. Rate-limit errors pause the chat (or the whole app)
+ * for the Retry-After time and the message is retried; other apps keep
+ * sending.
+ */
+
+// 飞书限制：同一群约 5 条/秒，单个应用约 50 次/秒
+const DEFAULT_OPTIONS = {
+  chatRate: 5,
+  chatBurst: 5,
+  appRate: 50,
+  appBurst: 50,
+  maxRetries: 3,
+  backoffBase: 1000
+};
+
+class TokenBucket {
+  constructor(rate, burst) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  _refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until a token is available
+  waitTime() {
+    this._refill();
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+  }
+
+  take() {
+    this._refill();
+    this.tokens -= 1;
+  }
+
+  isFull() {
+    this._refill();
+    return this.tokens >= this.burst;
+  }
+}
+
+class OutboundScheduler {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.apps = new Map(); // appId -> { bucket, pausedUntil }
+    this.chats = new Map(); // `${appId}:${chatId}` -> { chatId, app, queue, bucket, pausedUntil, running, inFlight }
+    this.timers = new Map(); // timer -> resolve of the sleep it ends
+    this.stopped = false;
+  }
+
+  _appState(appId) {
+    let app = this.apps.get(appId);
+    if (!app) {
+      app = { bucket: new TokenBucket(this.options.appRate, this.options.appBurst), pausedUntil: 0 };
+      this.apps.set(appId, app);
+    }
+    return app;
+  }
+
+  /**
+   * Queue a send for a chat
+   * @param {string} chatId - Chat the message goes to
+   * @param {function(): Promise<*>} task - Performs the send
+   * @param {string} [appId] - Bot app the message is sent from
+   * @returns {Promise<*>} Result of the task
+   */
+  schedule(chatId, task, appId) {
+    if (this.stopped) {
+      return Promise.reject(new Error('Outbound scheduler stopped'));
+    }
+
+    this._evictIdleChats();
+
+    const appKey = appId || '_';
+    const key = `${appKey}:${chatId || '_'}`;
+    let chat = this.chats.get(key);
+    if (!chat) {
+      chat = {
+        chatId: chatId || null,
+        appId: appId || null,
+        app: this._appState(appKey),
+        queue: [],
+        bucket: new TokenBucket(this.options.chatRate, this.options.chatBurst),
+        pausedUntil: 0,
+        running: false,
+        inFlight: null
+      };
+      this.chats.set(key, chat);
+    }
+
+    return new Promise((resolve, reject) => {
+      chat.queue.push({ task, resolve, reject, attempts: 0 });
+      this._drain(key, chat);
+    });
+  }
+
+  async _drain(key, chat) {
+    if (chat.running) {
+      return;
+    }
+    chat.running = true;
+
+    while (chat.queue.length > 0 && !this.stopped) {
+      const wait = this._waitTime(chat);
+      if (wait > 0) {
+        await this._sleep(wait);
+        continue;
+      }
+
+      chat.bucket.take();
+      chat.app.bucket.take();
+
+      const job = chat.queue[0];
+      // stop() 可能已清空队列，只移除仍在队首的这条
+      const finish = () => {
+        if (chat.queue[0] === job) {
+          chat.queue.shift();
+        }
+      };
+      chat.inFlight = job;
+      try {
+        const result = await job.task();
+        finish();
+        job.resolve(result);
+      } catch (error) {
+        if (error?.rateLimitScope) {
+          // 放弃重试时也记下暂停时间，后面的消息同样要等
+          const pause = error.retryAfter || this.options.backoffBase * 2 ** job.attempts;
+          if (error.rateLimitScope === 'app') {
+            chat.app.pausedUntil = Math.max(chat.app.pausedUntil, Date.now() + pause);
+          } else {
+            chat.pausedUntil = Math.max(chat.pausedUntil, Date.now() + pause);
+          }
+          if (job.attempts < this.options.maxRetries && !this.stopped) {
+            // 保持在队首重试，同一个群的消息顺序不变
+            job.attempts++;
+            continue;
+          }
+        }
+        finish();
+        job.reject(error);
+      } finally {
+        chat.inFlight = null;
+      }
+    }
+
+    chat.running = false;
+  }
+
+  // 队列清空后仍保留群的令牌桶和暂停时间，逐条等待发送的消息也要受限速约束；
+  // 令牌补满、暂停结束后才移除
+  _evictIdleChats() {
+    const now = Date.now();
+    for (const [key, chat] of this.chats) {
+      if (!chat.running && chat.queue.length === 0 && chat.pausedUntil <= now && chat.bucket.isFull()) {
+        this.chats.delete(key);
+      }
+    }
+  }
+
+  _waitTime(chat) {
+    const now = Date.now();
+    return Math.max(
+      chat.pausedUntil - now,
+      chat.app.pausedUntil - now,
+      chat.bucket.waitTime(),
+      chat.app.bucket.waitTime(),
+      0
+    );
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.set(timer, resolve);
+    });
+  }
+
+  getState() {
+    const now = Date.now();
+    const chats = Array.from(this.chats.values())
+      .filter(chat => chat.queue.length > 0 || chat.pausedUntil > now)
+      .map(chat => ({
+        chatId: chat.chatId,
+        appId: chat.appId,
+        queued: chat.queue.length,
+        pausedUntil: chat.pausedUntil > now ? chat.pausedUntil : null
+      }));
+    const pausedApps = Array.from(this.apps.entries())
+      .filter(([, app]) => app.pausedUntil > now)
+      .map(([appId, app]) => ({ appId: appId === '_' ? null : appId, pausedUntil: app.pausedUntil }));
+
+    return {
+      queued: chats.reduce((total, chat) => total + chat.queued, 0),
+      pausedApps,
+      throttled: pausedApps.length > 0 || chats.some(chat => chat.pausedUntil || chat.queued > 1),
+      chats
+    };
+  }
+
+  stop() {
+    this.stopped = true;
+    // 唤醒等待中的队列，让它们看到 stopped 后退出
+    for (const [timer, resolve] of this.timers) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.timers.clear();
+
+    const error = new Error('Outbound scheduler stopped');
+    for (const chat of this.chats.values()) {
+      // 正在发送的那条由发送结果结束
+      for (const job of chat.queue) {
+        if (job !== chat.inFlight) {
+          job.reject(error);
+        }
+      }
+      chat.queue.length = 0;
+    }
+    this.chats.clear();
+  }
+}
+
+module.exports = { OutboundScheduler, TokenBucket };
@@ -75,6 +75,129 @@ const invalidConfig = {
   }
 };
 
+const settle = (ms = 20) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Recording stand-in for one Feishu bot app
+function createFakeFeishuApp(appId, calls, fixtures) {
+  let nextId = 0;
+  const record = (method, args, result) => {
+    calls.push({ appId, method, args });
+    return result;
+  };
+  const sent = () => ({ data: { message_id: `om_${appId}_${++nextId}` } });
+
+  return {
+    appId,
+    sendMessage: async (...args) => record('sendMessage', args, sent()),
+    sendContent: async (...args) => record('sendContent', args, sent()),
+    reply: async (...args) => record('reply', args, sent()),
+    sendCard: async (...args) => record('sendCard', args, sent()),
+    updateCard: async (...args) => record('updateCard', args, true),
+    addReaction: async (...args) => record('addReaction', args, `reaction_${++nextId}`),
+    removeReaction: async (...args) => record('removeReaction', args, true),
+    uploadFile: async (...args) => record('uploadFile', args, `file_${++nextId}`),
+    getMessage: async (messageId) => record('getMessage', [messageId], fixtures.messages[messageId] || null),
+    getMergeForwardMessages: async (messageId) => record('getMergeForwardMessages', [messageId], fixtures.mergeForward[messageId] || []),
+    downloadMessageResource: async (...args) => record('downloadMessageResource', args, { data: Buffer.from(''), contentType: 'application/octet-stream' })
+  };
+}
+
+/**
+ * Start the real bridge against in-memory Feishu and OpenCode fakes
+ * Bridge state lives in the module, so tests must use their own message ids.
+ */
+async function startBridgeWithFakes(config = {}) {
+  const feishu = require('./src/feishu.js').default;
+  const opencode = require('./src/opencode.cjs');
+  const bridge = require('./src/bridge.cjs');
+
+  const calls = [];
+  const fixtures = { messages: {}, mergeForward: {} };
+  const feishuEvents = new EventEmitter();
+  const opencodeEvents = new EventEmitter();
+  const apps = new Map();
+  let sessionCount = 0;
+  // OpenCode 的 POST /session/:id/message 要等回答结束才返回
+  let promptGate = null;
+
+  const getApp = (appId = 'cli_main') => {
+    if (!apps.has(appId)) {
+      apps.set(appId, createFakeFeishuApp(appId, calls, fixtures));
+    }
+    return apps.get(appId);
+  };
+
+  const feishuFakes = {
+    start: async (appId) => { calls.push({ appId, method: 'start', args: [appId] }); return getApp(appId); },
+    stop: async (appId) => { calls.push({ appId, method: 'stop', args: [appId] }); },
+    isConnected: () => true,
+    getApp,
+    on: (event, handler) => feishuEvents.on(event, handler),
+    off: (event, handler) => feishuEvents.off(event, handler)
+  };
+  const opencodeFakes = {
+    start: async () => {},
+    stop: async () => {},
+    getEventStream: async () => {},
+    on: (event, handler) => opencodeEvents.on(event, handler),
+    off: (event, handler) => opencodeEvents.off(event, handler),
+    createSession: async () => `ses_${++sessionCount}`,
+    sendMessage: async (...args) => {
+      calls.push({ method: 'opencode.sendMessage', args });
+      await promptGate;
+    },
+    respondToPermission: async (...args) => { calls.push({ method: 'opencode.respondToPermission', args }); return true; },
+    abortSession: async (...args) => { calls.push({ method: 'opencode.abortSession', args }); return true; },
+    getSessionStatus: async () => ({ type: 'idle' }),
+    getSessionStatusMap: async () => ({}),
+    getSessionMessages: async () => []
+  };
+
+  const originals = {
+    feishu: Object.fromEntries(Object.keys(feishuFakes).map(key => [key, feishu[key]])),
+    opencode: Object.fromEntries(Object.keys(opencodeFakes).map(key => [key, opencode[key]]))
+  };
+  Object.assign(feishu, feishuFakes);
+  Object.assign(opencode, opencodeFakes);
+
+  try {
+    await bridge.start({
+      opencode: {},
+      feishu: { appId: 'cli_main', appSecret: 'secret' },
+      rateLimit: { chatRate: 100, appRate: 100 },
+      logger: () => {},
+      ...config
+    });
+  } catch (error) {
+    Object.assign(feishu, originals.feishu);
+    Object.assign(opencode, originals.opencode);
+    throw error;
+  }
+
+  return {
+    bridge,
+    calls,
+    fixtures,
+    getApp,
+    callsOf: (method) => calls.filter(call => call.method === method),
+    emitFeishu: (event, data) => feishuEvents.emit(event, { appId: 'cli_main', ...data }),
+    emitOpenCode: (event, data) => opencodeEvents.emit(event, data),
+    holdPrompts: () => {
+      let release;
+      promptGate = new Promise(resolve => { release = resolve; });
+      return () => {
+        promptGate = null;
+        release();
+      };
+    },
+    stop: async () => {
+      await bridge.stop();
+      Object.assign(feishu, originals.feishu);
+      Object.assign(opencode, originals.opencode);
+    }
+  };
+}
+
 let testsPassed = 0;
 let testsFailed = 0;
 const testResults = [];
@@ -317,6 +440,1311 @@ async function testOpenCodeCrash() {
   assert.strictEqual(cleanupPerformed, true, 'Cleanup should be performed');
 }
 
+async function testPostMessageParsing() {
+  const { parseMessageContent } = await import('./src/feishu-message.js');
+
+  const post = {
+    zh_cn: {
+      title: '修复登录',
+      content: [
+        [
+          { tag: 'text', text: '请看 ' },
+          { tag: 'text', text: '这个问题', style: ['bold'] },
+          { tag: 'a', text: '文档', href: 'https://example.com' }
+        ],
+        [
+          { tag: 'code_block', language: 'JavaScript', text: 'const a = 1;\n\n\nconst b = 2;\n' }
+        ]
+      ]
+    },
+    en_us: {
+      title: 'Fix login',
+      content: [[{ tag: 'text', text: 'English body' }]]
+    }
+  };
+
+  const markdown = parseMessageContent('post', JSON.stringify(post));
+  assert.strictEqual(
+    markdown,
+    '# 修复登录\n\n请看 **这个问题**[文档](https://example.com)\n```javascript\nconst a = 1;\n\n\nconst b = 2;\n```',
+    'Post should be rendered as Markdown from the zh_cn body'
+  );
+
+  const unwrapped = parseMessageContent('post', JSON.stringify({ title: '', content: post.en_us.content }));
+  assert.strictEqual(unwrapped, 'English body', 'Post without locale wrapper should be parsed');
+
+  assert.strictEqual(parseMessageContent('text', JSON.stringify({ text: 'hi' })), 'hi', 'Text message should use content.text');
+}
+
+async function testMentionResolution() {
+  const { resolveMentions } = await import('./src/feishu-message.js');
+
+  const mentions = [
+    { key: '@_user_1', id: { open_id: 'ou_bot' }, name: 'OpenCode' },
+    { key: '@_user_2', id: { open_id: 'ou_alice' }, name: 'Alice' }
+  ];
+
+  assert.strictEqual(
+    resolveMentions('@_user_1 帮 @_user_2 看下报错', mentions, 'ou_bot'),
+    '帮 @Alice 看下报错',
+    'Bot mention should be stripped and other mentions resolved to names'
+  );
+
+  const code = '```python\ndef f():\n    if x:\n        return 1\n```';
+  assert.strictEqual(
+    resolveMentions(`@_user_1 ${code}`, mentions, 'ou_bot'),
+    code,
+    'Code indentation should survive mention resolution'
+  );
+  assert.strictEqual(resolveMentions('看下 @_user_1', mentions, 'ou_bot'), '看下', 'Trailing bot mention should take one space with it');
+}
+
+async function testMergeForwardTranscript() {
+  const { renderTranscript } = await import('./src/feishu-message.js');
+
+  const createTime = new Date(2024, 4, 1, 9, 30).getTime();
+  const transcript = renderTranscript([
+    { messageId: 'om_1', msgType: 'text', text: '登录报 500', senderId: 'ou_alice', senderType: 'user', createTime, upperMessageId: 'om_root' },
+    { messageId: 'om_2', msgType: 'post', text: '看日志:\n```\nNPE\n```', senderId: 'cli_bot', senderType: 'app', createTime, upperMessageId: 'om_root' }
+  ], 'om_root');
+
+  assert.strictEqual(
+    transcript,
+    '[2024-05-01 09:30] ou_alice: 登录报 500\n[2024-05-01 09:30] bot: 看日志:\n  ```\n  NPE\n  ```',
+    'Transcript should list sender and timestamp for every forwarded message'
+  );
+}
+
+async function testMarkdownCardFormatting() {
+  const { formatMarkdownMessage } = await import('./src/feishu-format.js');
+
+  const markdown = [
+    '## 修复方案',
+    '',
+    '- 检查 **token** 是否过期',
+    '',
+    '```JS',
+    '# not a heading',
+    'refresh();',
+    '```',
+    '',
+    '| 文件 | 改动 |',
+    '| --- | --- |',
+    '| a.js | +3 |'
+  ].join('\n');
+
+  const card = formatMarkdownMessage(markdown, 'card');
+  assert.strictEqual(card.msgType, 'interactive', 'Card format should produce an interactive message');
+  assert.deepStrictEqual(card.content.elements, [
+    { tag: 'markdown', content: '**修复方案**\n\n- 检查 **token** 是否过期' },
+    { tag: 'markdown', content: '```js\n# not a heading\nrefresh();\n```' },
+    { tag: 'div', text: { tag: 'plain_text', content: '| 文件 | 改动 |\n| --- | --- |\n| a.js | +3 |' } }
+  ], 'Headings should become bold, code blocks stay intact and tables fall back to plain text');
+
+  const post = formatMarkdownMessage(markdown, 'post');
+  assert.strictEqual(post.msgType, 'post', 'Post format should produce a post message');
+  assert.deepStrictEqual(post.content.zh_cn.content[1], [{ tag: 'code_block', language: 'JS', text: '# not a heading\nrefresh();' }]);
+
+  const tooLarge = formatMarkdownMessage('x'.repeat(40 * 1024), 'card');
+  assert.strictEqual(tooLarge.msgType, 'text', 'Content too large for a card should fall back to text');
+}
+
+async function testLongReplySplitting() {
+  const { splitMarkdown } = await import('./src/feishu-format.js');
+
+  const code = Array.from({ length: 30 }, (_, i) => `console.log(${i});`).join('\n');
+  const markdown = `修改如下：\n\n\`\`\`js\n${code}\n\`\`\`\n\n完成。`;
+  const chunks = splitMarkdown(markdown, 200);
+
+  assert.ok(chunks.length > 1, 'Long reply should be split');
+  chunks.forEach((chunk, index) => {
+    assert.ok(Buffer.byteLength(chunk) <= 200, `Chunk ${index + 1} should fit the size limit`);
+    assert.ok(chunk.startsWith(`(${index + 1}/${chunks.length})\n`), 'Chunks should be numbered');
+    const fences = chunk.split('\n').filter(line => line.startsWith('```'));
+    assert.strictEqual(fences.length % 2, 0, `Chunk ${index + 1} should not leave a code block open`);
+  });
+
+  const rejoined = chunks
+    .map(chunk => chunk.split('\n').slice(1).join('\n'))
+    .join('\n')
+    .split('\n')
+    .filter(line => line.startsWith('console.log'));
+  assert.strictEqual(rejoined.join('\n'), code, 'Code lines should arrive complete and in order');
+
+  assert.deepStrictEqual(splitMarkdown('short reply'), ['short reply'], 'Short replies should not be numbered');
+
+  // 随机内容（段落、代码块、超长行、多字节字符）切出来的每一块都不能超过上限
+  let seed = 42;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const pick = (items) => items[Math.floor(random() * items.length)];
+  const words = ['alpha', '中文内容', 'x', 'foo() {}', '    indented', '- item', '| a | b |', '😀😀', 'lorem ipsum dolor'];
+  for (let round = 0; round < 400; round++) {
+    const lines = Array.from({ length: Math.floor(random() * 80) }, () => {
+      const roll = random();
+      if (roll < 0.08) return pick(['```', '```js', '~~~', '````python']);
+      if (roll < 0.12) return 'y'.repeat(Math.floor(random() * 400));
+      if (roll < 0.35) return '';
+      return Array.from({ length: Math.floor(random() * 20) }, () => pick(words)).join(' ');
+    });
+    const maxBytes = pick([64, 120, 200, 300]);
+    for (const chunk of splitMarkdown(lines.join('\n'), maxBytes)) {
+      assert.ok(Buffer.byteLength(chunk) <= maxBytes, `Chunk of ${Buffer.byteLength(chunk)} bytes exceeds ${maxBytes} (round ${round})`);
+    }
+  }
+}
+
+async function testOutboundRateLimit() {
+  const { OutboundScheduler } = require('./src/outbound-scheduler.cjs');
+  const scheduler = new OutboundScheduler({ chatRate: 100, chatBurst: 2, backoffBase: 10 });
+  const sent = [];
+  let rateLimited = false;
+
+  const send = (label) => async () => {
+    if (label === 'b' && !rateLimited) {
+      rateLimited = true;
+      throw Object.assign(new Error('rate limited'), { rateLimitScope: 'chat', retryAfter: 20 });
+    }
+    sent.push(label);
+    return label;
+  };
+
+  const results = await Promise.all(['a', 'b', 'c'].map(label => scheduler.schedule('oc_1', send(label))));
+
+  assert.deepStrictEqual(results, ['a', 'b', 'c'], 'Each send should resolve with its result');
+  assert.deepStrictEqual(sent, ['a', 'b', 'c'], 'Rate-limited sends should be retried without reordering the chat');
+  assert.strictEqual(scheduler.getState().queued, 0, 'Queue should be empty once drained');
+
+  const failure = new Error('bad request');
+  await assert.rejects(scheduler.schedule('oc_1', async () => { throw failure; }), failure);
+
+  // 一个应用被限流时，其他应用照常发送
+  let appLimited = false;
+  const order = [];
+  const limitedSend = async () => {
+    if (!appLimited) {
+      appLimited = true;
+      throw Object.assign(new Error('app rate limited'), { rateLimitScope: 'app', retryAfter: 100 });
+    }
+    order.push('cli_a');
+  };
+  const limited = scheduler.schedule('oc_2', limitedSend, 'cli_a');
+  await settle(10);
+  const sameApp = scheduler.schedule('oc_3', async () => order.push('cli_a other chat'), 'cli_a');
+  const otherApp = scheduler.schedule('oc_2', async () => order.push('cli_b'), 'cli_b');
+  assert.deepStrictEqual(scheduler.getState().pausedApps.map(app => app.appId), ['cli_a'], 'Only the limited app should be paused');
+  await Promise.all([limited, sameApp, otherApp]);
+  assert.strictEqual(order[0], 'cli_b', 'Other apps should not wait for a paused app');
+  assert.strictEqual(order.length, 3, 'Paused app should resume after Retry-After');
+
+  scheduler.stop();
+  await assert.rejects(scheduler.schedule('oc_1', send('d')), /stopped/);
+
+  // 逐条等待发送时也要限速：队列清空后令牌桶不能重置
+  const sequential = new OutboundScheduler({ chatRate: 20, chatBurst: 1 });
+  const started = Date.now();
+  for (let i = 0; i < 3; i++) {
+    await sequential.schedule('oc_1', async () => i);
+  }
+  assert.ok(Date.now() - started >= 80, 'Awaited sends should still wait for the chat bucket');
+
+  // 最后一条放弃重试后，群的暂停时间仍然有效
+  const giveUp = new OutboundScheduler({ maxRetries: 0 });
+  await assert.rejects(giveUp.schedule('oc_1', async () => {
+    throw Object.assign(new Error('rate limited'), { rateLimitScope: 'chat', retryAfter: 100 });
+  }), /rate limited/);
+  const resumed = Date.now();
+  await giveUp.schedule('oc_1', async () => 'ok');
+  assert.ok(Date.now() - resumed >= 80, 'Chat pause should outlive the job that caused it');
+
+  // stop() 唤醒等待限流结束的队列，并拒绝还没发送的消息
+  const sleeping = new OutboundScheduler({ chatRate: 100, chatBurst: 2 });
+  let limitedOnce = false;
+  const waiting = sleeping.schedule('oc_1', async () => {
+    if (!limitedOnce) {
+      limitedOnce = true;
+      throw Object.assign(new Error('rate limited'), { rateLimitScope: 'chat', retryAfter: 60000 });
+    }
+  });
+  await settle(10);
+  const chat = sleeping.chats.get('_:oc_1');
+  sleeping.stop();
+  await assert.rejects(waiting, /stopped/);
+  await settle(10);
+  assert.strictEqual(chat.running, false, 'Sleeping queue should exit once stopped');
+  assert.strictEqual(sleeping.timers.size, 0);
+
+  // 正在发送的消息以发送结果结束，不会被 stop() 再拒绝一次
+  const inFlight = new OutboundScheduler();
+  let release;
+  const sending = inFlight.schedule('oc_1', () => new Promise(resolve => { release = resolve; }));
+  const queuedBehind = inFlight.schedule('oc_1', async () => 'never sent');
+  await settle(10);
+  inFlight.stop();
+  await assert.rejects(queuedBehind, /stopped/);
+  release('sent');
+  assert.strictEqual(await sending, 'sent', 'In-flight send should settle with its own result');
+}
+
+async function testTenantAccessToken() {
+  const { FeishuApp } = await import('./src/feishu.js');
+  const app = new FeishuApp('cli_token', 'secret');
+  let tokenRequests = 0;
+  let gate = Promise.resolve();
+  app.apiClient = {
+    request: async () => {
+      tokenRequests++;
+      const issued = `t_${tokenRequests}`;
+      await gate;
+      return { code: 0, tenant_access_token: issued, expire: 7200 };
+    }
+  };
+
+  try {
+    // 并发调用共用一次刷新
+    const tokens = await Promise.all([app._getTenantAccessToken(), app._getTenantAccessToken(), app._getTenantAccessToken()]);
+    assert.deepStrictEqual(tokens, ['t_1', 't_1', 't_1']);
+    assert.strictEqual(tokenRequests, 1, 'Concurrent callers should share one refresh');
+    assert.ok(app.tokenRefreshTimer, 'Background refresh should be scheduled');
+
+    assert.strictEqual(await app._getTenantAccessToken(), 't_1', 'Cached token should be reused');
+    app.tokenCache.expiresAt = Date.now() + 4 * 60 * 1000;
+    assert.strictEqual(await app._getTenantAccessToken(), 't_2', 'Token inside the expiry margin should be refreshed');
+    assert.strictEqual(tokenRequests, 2);
+
+    // 令牌失效的错误码：丢弃令牌，只重试一次
+    const used = [];
+    const response = await app._requestWithToken(async (token) => {
+      used.push(token);
+      return { data: used.length === 1 ? { code: 99991663 } : { code: 0 } };
+    });
+    assert.deepStrictEqual(used, ['t_2', 't_3'], 'Rejected token should be replaced before the retry');
+    assert.strictEqual(response.data.code, 0);
+
+    const rejected = [];
+    const stillInvalid = await app._requestWithToken(async (token) => {
+      rejected.push(token);
+      return { data: { code: 99991663 } };
+    });
+    assert.strictEqual(rejected.length, 2, 'Invalid token should be retried only once');
+    assert.strictEqual(stillInvalid.data.code, 99991663);
+
+    // stop() 之后才返回的刷新结果不能写入缓存
+    let release;
+    gate = new Promise(resolve => { release = resolve; });
+    app._invalidateTenantAccessToken();
+    const late = app._getTenantAccessToken();
+    app.connected = true;
+    await app.stop();
+    release();
+    await assert.rejects(late, /stopped/);
+    assert.strictEqual(app.tokenCache.token, null, 'Late refresh should not cache a token on a stopped app');
+    assert.strictEqual(app.tokenRefreshTimer, null, 'Late refresh should not schedule a refresh on a stopped app');
+  } finally {
+    app._invalidateTenantAccessToken();
+  }
+}
+
+async function testWebhookVerification() {
+  const crypto = require('crypto');
+  const feishu = (await import('./src/feishu.js')).default;
+
+  // 不可达的域名：只验证回调处理，不访问开放平台
+  await feishu.start('cli_test', 'secret', {
+    domain: 'http://127.0.0.1:9',
+    eventMode: 'webhook',
+    verificationToken: 'vt',
+    encryptKey: 'ek'
+  });
+
+  try {
+    const encrypt = (payload) => {
+      const iv = crypto.randomBytes(16);
+      const cipher = crypto.createCipheriv('aes-256-cbc', crypto.createHash('sha256').update('ek').digest(), iv);
+      return Buffer.concat([iv, cipher.update(JSON.stringify(payload)), cipher.final()]).toString('base64');
+    };
+    const sign = (rawBody) => ({
+      'x-lark-request-timestamp': '1700000000',
+      'x-lark-request-nonce': 'nonce',
+      'x-lark-signature': crypto.createHash('sha256').update('1700000000' + 'nonce' + 'ek' + rawBody).digest('hex')
+    });
+
+    const challenge = JSON.stringify({ encrypt: encrypt({ type: 'url_verification', challenge: 'c1', token: 'vt' }) });
+    const challengeResponse = await feishu.handleWebhookRequest({ headers: {}, rawBody: challenge });
+    assert.deepStrictEqual(challengeResponse, { status: 200, body: { challenge: 'c1' } }, 'Challenge should be echoed');
+
+    const received = [];
+    const onMessage = message => received.push(message);
+    feishu.on('message', onMessage);
+
+    const event = JSON.stringify({
+      encrypt: encrypt({
+        schema: '2.0',
+        header: { event_type: 'im.message.receive_v1', token: 'vt' },
+        event: {
+          sender: { sender_id: { open_id: 'ou_1' } },
+          message: { chat_id: 'oc_1', message_id: 'om_1', chat_type: 'p2p', message_type: 'text', content: '{"text":"hello"}' }
+        }
+      })
+    });
+
+    const forged = await feishu.handleWebhookRequest({ headers: sign(event + ' '), rawBody: event });
+    assert.strictEqual(forged.status, 401, 'Bad signature should be rejected');
+    assert.strictEqual(received.length, 0, 'Rejected events should not be dispatched');
+
+    const accepted = await feishu.handleWebhookRequest({ headers: sign(event), rawBody: event });
+    assert.strictEqual(accepted.status, 200, 'Signed event should be accepted');
+    assert.strictEqual(received.length, 1, 'Event should reach the message handlers');
+    assert.strictEqual(received[0].text, 'hello', 'Decrypted message text should be parsed');
+    feishu.off('message', onMessage);
+  } finally {
+    await feishu.stop();
+  }
+}
+
+async function testOpenCodeEventDecoding() {
+  const { SSEDecoder, decodeEvent } = require('./src/opencode-events.cjs');
+  const decoder = new SSEDecoder();
+  const payload = {
+    type: 'message.part.updated',
+    properties: { part: { id: 'prt_1', messageID: 'msg_1', sessionID: 'ses_1', type: 'text', text: 'Hello' } }
+  };
+  const multiLine = JSON.stringify(payload, null, 2).split('\n').map(line => `data: ${line}`).join('\r\n');
+
+  const stream = `: keep-alive\n\n${multiLine}\r\n\r\ndata: {"type":"session.idle","properties":{"sessionID":"ses_1"}}\n\n`;
+  const events = [];
+  // 按很小的 chunk 投喂，事件跨 chunk 也要完整解析
+  for (let i = 0; i < stream.length; i += 7) {
+    events.push(...decoder.push(stream.slice(i, i + 7)));
+  }
+
+  assert.strictEqual(events.length, 2, 'Comments should be skipped and both events decoded');
+  assert.deepStrictEqual(JSON.parse(events[0].data), payload, 'Multi-line data should be joined with newlines');
+
+  const part = decodeEvent(JSON.parse(events[0].data));
+  assert.strictEqual(part.type, 'message.part.updated');
+  assert.strictEqual(part.sessionID, 'ses_1', 'Part events should carry the session ID');
+  assert.strictEqual(part.messageID, 'msg_1');
+  assert.strictEqual(part.part.text, 'Hello');
+
+  assert.strictEqual(decodeEvent(JSON.parse(events[1].data)).sessionID, 'ses_1', 'Idle events should carry the session ID');
+
+  const error = decodeEvent({ type: 'session.error', properties: { sessionID: 'ses_2', error: { name: 'ProviderAuthError' } } });
+  assert.strictEqual(error.sessionID, 'ses_2');
+  assert.strictEqual(error.error.name, 'ProviderAuthError');
+
+  const permission = decodeEvent({ type: 'permission.updated', properties: { id: 'per_1', sessionID: 'ses_3', type: 'bash', title: 'ls' } });
+  assert.strictEqual(permission.sessionID, 'ses_3');
+  assert.strictEqual(permission.permission.id, 'per_1');
+
+  assert.strictEqual(decodeEvent({ message: 'not an event' }), null, 'Payloads without a type should be rejected');
+}
+
+async function testEventStreamReconnect() {
+  const http = require('http');
+  const { OpenCodeClient } = require('./src/opencode.cjs');
+  const streams = [];
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write(': connected\n\n');
+    streams.push(res);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const client = new OpenCodeClient();
+  client.config = {
+    host: '127.0.0.1',
+    port: server.address().port,
+    eventStream: { reconnectBaseDelay: 20, reconnectMaxDelay: 50, heartbeatTimeout: 200 }
+  };
+  const waitFor = (event) => new Promise(resolve => client.once(event, resolve));
+
+  try {
+    await client.getEventStream();
+
+    // 服务端断开连接后应自动重连
+    const reconnected = waitFor('reconnected');
+    streams[0].destroy();
+    await reconnected;
+    assert.strictEqual(streams.length, 2, 'Dropped stream should be reopened');
+
+    // 长时间没有数据视为卡死，同样重连
+    await waitFor('reconnected');
+    assert.strictEqual(streams.length, 3, 'Stalled stream should be reopened after the heartbeat timeout');
+  } finally {
+    await client.stop();
+    streams.forEach(stream => stream.destroy());
+    server.close();
+  }
+  assert.strictEqual(client.reconnectTimer, null, 'stop() should cancel pending reconnects');
+}
+
+async function testPermissionResponse() {
+  const http = require('http');
+  const { OpenCodeClient } = require('./src/opencode.cjs');
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: JSON.parse(body) });
+      res.writeHead(req.url.includes('per_missing') ? 404 : 200, { 'Content-Type': 'application/json' });
+      res.end('true');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  const client = new OpenCodeClient();
+  client.config = { host: '127.0.0.1', port: server.address().port };
+
+  try {
+    assert.strictEqual(await client.respondToPermission('ses_1', 'per_1', 'once'), true);
+    assert.deepStrictEqual(requests[0], {
+      method: 'POST',
+      url: '/session/ses_1/permissions/per_1',
+      body: { response: 'once' }
+    }, 'Decision should be posted to the permission endpoint of the session');
+
+    await assert.rejects(client.respondToPermission('ses_1', 'per_missing', 'reject'), /HTTP 404/);
+  } finally {
+    server.close();
+  }
+}
+
+async function testGroupMergeForward() {
+  const harness = await startBridgeWithFakes({ group: { policy: 'mention-only' } });
+  const groupMessage = (fields) => ({
+    chatId: 'oc_group_forward',
+    chatType: 'group',
+    userId: 'ou_forwarder',
+    attachments: [],
+    isMentioned: false,
+    ...fields
+  });
+  harness.fixtures.mergeForward.om_gf_bundle = [
+    { messageId: 'om_gf_c1', upperMessageId: 'om_gf_bundle', msgType: 'text', senderId: 'ou_zhangsan', text: '线上 500 了', createTime: '1700000000000', attachments: [] }
+  ];
+
+  try {
+    // 合并转发无法 @机器人，先不转发
+    harness.emitFeishu('message', groupMessage({ messageId: 'om_gf_bundle', messageType: 'merge_forward', text: '' }));
+    await settle();
+    assert.strictEqual(harness.callsOf('opencode.sendMessage').length, 0, 'Forwarded bundle alone should not reach OpenCode');
+
+    // 别人 @机器人 不会带上这份转发
+    harness.emitFeishu('message', groupMessage({ messageId: 'om_gf_other', messageType: 'text', text: '无关问题', isMentioned: true, userId: 'ou_other' }));
+    await settle();
+    let sent = harness.callsOf('opencode.sendMessage');
+    assert.strictEqual(sent.length, 1);
+    assert.ok(!JSON.stringify(sent[0].args[1]).includes('线上 500 了'), 'Bundle should only attach to the forwarder\'s follow-up');
+
+    harness.emitFeishu('message', groupMessage({ messageId: 'om_gf_followup', messageType: 'text', text: '帮忙看下原因', isMentioned: true }));
+    await settle();
+    sent = harness.callsOf('opencode.sendMessage');
+    assert.strictEqual(sent.length, 2, 'Mentioning the bot should send the held bundle with the follow-up');
+    const prompt = JSON.stringify(sent[1].args[1]);
+    assert.ok(prompt.includes('[Forwarded conversation]') && prompt.includes('线上 500 了'), 'Prompt should carry the forwarded transcript');
+    assert.ok(prompt.includes('帮忙看下原因'), 'Prompt should carry the follow-up text');
+
+    // 转发只会被用一次
+    harness.emitFeishu('message', groupMessage({ messageId: 'om_gf_again', messageType: 'text', text: '还有吗', isMentioned: true }));
+    await settle();
+    sent = harness.callsOf('opencode.sendMessage');
+    assert.ok(!JSON.stringify(sent[2].args[1]).includes('线上 500 了'), 'Held bundle should be consumed once');
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testQueuedPromptReplies() {
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' } });
+  const prompt = (messageId, text) => ({ chatId: 'oc_queued', chatType: 'p2p', userId: 'ou_queued', messageType: 'text', attachments: [], messageId, text });
+  const assistant = (id, parentID, text) => {
+    harness.emitOpenCode('message.updated', decodeEvent({ type: 'message.updated', properties: { info: { id, parentID, role: 'assistant', sessionID: 'ses_1' } } }));
+    harness.emitOpenCode('message.part.updated', decodeEvent({ type: 'message.part.updated', properties: { part: { id: `${id}_p`, messageID: id, sessionID: 'ses_1', type: 'text', text } } }));
+  };
+
+  try {
+    // 第一个问题还在回答时又发来第二个
+    harness.emitFeishu('message', prompt('om_queued_1', '第一个问题'));
+    await settle();
+    harness.emitFeishu('message', prompt('om_queued_2', '第二个问题'));
+    await settle();
+    assert.strictEqual(harness.callsOf('opencode.sendMessage').length, 2);
+
+    assistant('msg_a1', 'msg_u1', '第一个回答');
+    assistant('msg_a2', 'msg_u2', '第二个回答');
+    harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID: 'ses_1' } }));
+    await settle(50);
+
+    const replies = harness.callsOf('reply').map(call => [call.args[0], call.args[1].text]);
+    assert.deepStrictEqual(replies, [
+      ['om_queued_1', '第一个回答'],
+      ['om_queued_2', '第二个回答']
+    ], 'Each answer should reply to the prompt it answers');
+
+    const reactions = harness.calls
+      .filter(call => call.method === 'addReaction')
+      .map(call => call.args.join(':'));
+    assert.deepStrictEqual(reactions.sort(), [
+      'om_queued_1:DONE', 'om_queued_1:OnIt', 'om_queued_2:DONE', 'om_queued_2:OnIt'
+    ], 'Both prompts should end up marked done');
+    assert.strictEqual(harness.callsOf('removeReaction').length, 2, 'Both working reactions should be removed');
+
+    // 空闲后再回答的提示词仍按顺序对应
+    harness.emitFeishu('message', prompt('om_queued_3', '第三个问题'));
+    await settle();
+    assistant('msg_a3', 'msg_u3', '第三个回答');
+    harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID: 'ses_1' } }));
+    await settle(50);
+    assert.deepStrictEqual(harness.callsOf('reply').slice(-1).map(call => call.args[0]), ['om_queued_3']);
+
+    // 两个提示词得到相同的回答，两条都要发送
+    for (const [messageId, id] of [['om_queued_4', 'msg_a4'], ['om_queued_5', 'msg_a5']]) {
+      harness.emitFeishu('message', prompt(messageId, '再确认一下'));
+      await settle();
+      assistant(id, `${id}_parent`, 'Done.');
+      harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID: 'ses_1' } }));
+      await settle(50);
+    }
+    assert.deepStrictEqual(
+      harness.callsOf('reply').slice(-2).map(call => [call.args[0], call.args[1].text]),
+      [['om_queued_4', 'Done.'], ['om_queued_5', 'Done.']],
+      'Identical answers to different prompts should both be sent'
+    );
+    assert.ok(harness.callsOf('addReaction').some(call => call.args.join(':') === 'om_queued_5:DONE'));
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testMultiAppRegistry() {
+  const feishu = (await import('./src/feishu.js')).default;
+  const options = (verificationToken) => ({ domain: 'http://127.0.0.1:9', eventMode: 'webhook', verificationToken });
+  const event = (token, messageId) => JSON.stringify({
+    schema: '2.0',
+    header: { event_type: 'im.message.receive_v1', token },
+    event: {
+      sender: { sender_id: { open_id: 'ou_1' } },
+      message: { chat_id: 'oc_multi', message_id: messageId, chat_type: 'p2p', message_type: 'text', content: '{"text":"hello"}' }
+    }
+  });
+
+  await feishu.start('cli_one', 'secret', options('vt_one'));
+  await feishu.start('cli_two', 'secret', options('vt_two'));
+  const received = [];
+  const onMessage = message => received.push(message);
+  feishu.on('message', onMessage);
+
+  try {
+    await assert.rejects(feishu.start('cli_two', 'secret', options('vt_two')), /already started/);
+    assert.strictEqual(feishu.getApp().appId, 'cli_one', 'First app started should be the default');
+    assert.strictEqual(feishu.getApp('cli_two').appId, 'cli_two');
+
+    // /webhook/event/:appId 把 appId 交给 handleWebhookRequest
+    const routed = await feishu.handleWebhookRequest({ headers: {}, rawBody: event('vt_two', 'om_multi_1') }, 'cli_two');
+    assert.strictEqual(routed.status, 200, 'Event should be handled by the app in the path');
+    assert.strictEqual(received.length, 1);
+    assert.strictEqual(received[0].appId, 'cli_two', 'Inbound events should carry the receiving app');
+
+    const misrouted = await feishu.handleWebhookRequest({ headers: {}, rawBody: event('vt_two', 'om_multi_2') }, 'cli_one');
+    assert.strictEqual(misrouted.status, 401, 'Another app\'s verification token should be rejected');
+    const unknown = await feishu.handleWebhookRequest({ headers: {}, rawBody: event('vt_two', 'om_multi_3') }, 'cli_unknown');
+    assert.strictEqual(unknown.status, 404, 'Unknown app in the path should be a 404');
+
+    const byDefault = await feishu.handleWebhookRequest({ headers: {}, rawBody: event('vt_one', 'om_multi_4') });
+    assert.strictEqual(byDefault.status, 200);
+    assert.strictEqual(received[received.length - 1].appId, 'cli_one', 'Plain /webhook/event should go to the default app');
+
+    // 停掉一个应用，其他应用继续工作
+    await feishu.stop('cli_one');
+    assert.strictEqual(feishu.isConnected('cli_one'), false);
+    assert.strictEqual(feishu.isConnected('cli_two'), true, 'Other apps should keep running');
+    assert.throws(() => feishu.getApp('cli_one'), /not started/);
+    assert.strictEqual(feishu.getApp().appId, 'cli_two', 'Default should move to a running app');
+    const afterStop = await feishu.handleWebhookRequest({ headers: {}, rawBody: event('vt_two', 'om_multi_5') }, 'cli_two');
+    assert.strictEqual(afterStop.status, 200, 'Remaining app should still receive events');
+  } finally {
+    feishu.off('message', onMessage);
+    await feishu.stop();
+  }
+}
+
+async function testMultiAppReplies() {
+  const harness = await startBridgeWithFakes({
+    feishu: { appId: 'cli_main', appSecret: 'secret', apps: [{ appId: 'cli_second', appSecret: 'secret' }] },
+    reply: { format: 'text' }
+  });
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const answer = (sessionID, id, text) => {
+    harness.emitOpenCode('message.updated', decodeEvent({ type: 'message.updated', properties: { info: { id, role: 'assistant', sessionID } } }));
+    harness.emitOpenCode('message.part.updated', decodeEvent({ type: 'message.part.updated', properties: { part: { id: `${id}_p`, messageID: id, sessionID, type: 'text', text } } }));
+    harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID } }));
+  };
+
+  try {
+    assert.deepStrictEqual(harness.callsOf('start').map(call => call.appId), ['cli_main', 'cli_second'], 'Every configured app should be started');
+
+    harness.emitFeishu('message', { appId: 'cli_second', chatId: 'oc_second', chatType: 'p2p', messageType: 'text', attachments: [], messageId: 'om_second_1', text: '问第二个机器人' });
+    await settle();
+    answer('ses_1', 'msg_second', '第二个机器人的回答');
+    await settle(50);
+
+    harness.emitFeishu('message', { chatId: 'oc_main', chatType: 'p2p', messageType: 'text', attachments: [], messageId: 'om_main_1', text: '问主机器人' });
+    await settle();
+    answer('ses_2', 'msg_main', '主机器人的回答');
+    await settle(50);
+
+    const replies = harness.callsOf('reply').map(call => [call.appId, call.args[0]]);
+    assert.deepStrictEqual(replies, [['cli_second', 'om_second_1'], ['cli_main', 'om_main_1']], 'Answers should come from the bot that received the prompt');
+    const reactionApps = new Set(harness.callsOf('addReaction').filter(call => call.args[0] === 'om_second_1').map(call => call.appId));
+    assert.deepStrictEqual(Array.from(reactionApps), ['cli_second'], 'Reactions should be added by the receiving bot');
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testPermissionCards() {
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' }, permission: { timeout: 150, defaultResponse: 'reject' } });
+  const app = harness.getApp('cli_main');
+  const requestPermission = (id) => harness.emitOpenCode('permission.updated', decodeEvent({
+    type: 'permission.updated',
+    properties: { id, type: 'bash', sessionID: 'ses_1', messageID: 'msg_1', title: 'rm -rf build', metadata: { command: 'rm -rf build' } }
+  }));
+  const responses = () => harness.callsOf('opencode.respondToPermission').map(call => call.args);
+  const lastNote = (call) => call.args[1].elements.find(element => element.tag === 'note').elements[0].content;
+
+  try {
+    harness.emitFeishu('message', { chatId: 'oc_perm', chatType: 'p2p', messageType: 'text', attachments: [], messageId: 'om_perm_1', text: '清理构建目录' });
+    await settle();
+
+    // 卡片回复到发起提问的消息
+    requestPermission('per_click');
+    await settle();
+    const cardReply = harness.callsOf('reply').find(call => call.args[1].msgType === 'interactive');
+    assert.ok(cardReply, 'Permission card should be sent');
+    assert.strictEqual(cardReply.args[0], 'om_perm_1', 'Card should reply to the prompt in the originating chat');
+    const buttons = cardReply.args[1].content.elements.find(element => element.tag === 'action').actions;
+    assert.deepStrictEqual(buttons.map(button => button.value.response), ['once', 'always', 'reject']);
+
+    harness.emitFeishu('cardAction', { value: buttons[1].value, operator: { openId: 'ou_1' }, messageId: 'om_card' });
+    await settle();
+    harness.emitFeishu('cardAction', { value: buttons[0].value, operator: { openId: 'ou_2' }, messageId: 'om_card' });
+    await settle();
+    assert.deepStrictEqual(responses(), [['ses_1', 'per_click', 'always']], 'Click should be answered once with its response');
+
+    // 超时按默认值回复，卡片变为已处理
+    requestPermission('per_timeout');
+    await settle(250);
+    assert.deepStrictEqual(responses()[1], ['ses_1', 'per_timeout', 'reject'], 'Timeout should apply permissionDefault');
+    const timeoutUpdate = harness.callsOf('updateCard').pop();
+    assert.ok(lastNote(timeoutUpdate).includes('超时'), 'Card should show the timeout resolution');
+    assert.ok(!timeoutUpdate.args[1].elements.some(element => element.tag === 'action'), 'Buttons should be removed');
+
+    // 在 OpenCode 中处理的请求只更新卡片
+    requestPermission('per_replied');
+    await settle();
+    harness.emitOpenCode('permission.replied', decodeEvent({ type: 'permission.replied', properties: { sessionID: 'ses_1', permissionID: 'per_replied', response: 'once' } }));
+    await settle();
+    assert.strictEqual(responses().length, 2, 'Requests answered in OpenCode should not be answered again');
+    assert.ok(lastNote(harness.callsOf('updateCard').pop()).includes('已在 OpenCode 中处理'));
+
+    // 卡片还没发出时就超时：发出后立即更新为已处理
+    const reply = app.reply;
+    app.reply = async (...args) => {
+      await settle(250);
+      return reply(...args);
+    };
+    const updatesBefore = harness.callsOf('updateCard').length;
+    requestPermission('per_slow');
+    await settle(400);
+    app.reply = reply;
+    assert.deepStrictEqual(responses()[2], ['ses_1', 'per_slow', 'reject']);
+    const lateUpdates = harness.callsOf('updateCard').slice(updatesBefore);
+    assert.strictEqual(lateUpdates.length, 1, 'Card sent after the timeout should be disabled');
+    assert.ok(lastNote(lateUpdates[0]).includes('超时'));
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testReactionsThrottled() {
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' } });
+  const app = harness.getApp('cli_main');
+  const addReaction = app.addReaction;
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+  app.addReaction = async (...args) => {
+    await gate;
+    return addReaction(...args);
+  };
+
+  try {
+    harness.emitFeishu('message', { chatId: 'oc_react', chatType: 'p2p', messageType: 'text', attachments: [], messageId: 'om_react_1', text: '看下日志' });
+    await settle();
+
+    // 表情和消息一样经过限速调度器
+    const chat = harness.bridge.getStatus().throttle.chats.find(entry => entry.chatId === 'oc_react');
+    assert.ok(chat, 'Reaction should be queued in the outbound scheduler');
+    assert.strictEqual(chat.appId, 'cli_main', 'Reaction should count against the receiving app');
+    release();
+    await settle();
+    assert.deepStrictEqual(harness.callsOf('addReaction').map(call => call.args), [['om_react_1', 'OnIt']]);
+  } finally {
+    release();
+    app.addReaction = addReaction;
+    await harness.stop();
+  }
+}
+
+async function testFileCommands() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { execFileSync } = require('child_process');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-diff-'));
+  const git = (...args) => execFileSync('git', args, { cwd: workDir, stdio: 'pipe' });
+  git('init', '-q');
+  fs.writeFileSync(path.join(workDir, 'app.js'), 'console.log(1);\n');
+  git('add', 'app.js');
+
+  const harness = await startBridgeWithFakes({ opencode: { workDir }, reply: { format: 'text' } });
+  let count = 0;
+  const command = async (text) => {
+    const messageId = `om_diff_${++count}`;
+    harness.emitFeishu('message', { chatId: 'oc_diff', chatType: 'p2p', messageType: 'text', attachments: [], messageId, text });
+    await settle(300);
+    return harness.calls.filter(call => call.method === 'reply' && call.args[0] === messageId);
+  };
+  const replyTexts = (replies) => replies.map(call => call.args[1].text || call.args[1]);
+
+  try {
+    // 还没有提交：和空树比较，"." 表示整个工作目录
+    let replies = await command('/diff .');
+    const upload = harness.callsOf('uploadFile').pop();
+    assert.ok(upload, 'Diff should be uploaded in a repository without commits');
+    assert.ok(upload.args[1].toString().includes('+console.log(1);'), 'Patch should contain the staged file');
+    assert.ok(replyTexts(replies).some(text => String(text).includes('1 个文件')));
+
+    git('-c', 'user.name=t', '-c', 'user.email=t@example.com', 'commit', '-qm', 'init');
+    fs.writeFileSync(path.join(workDir, 'app.js'), 'console.log(2);\n');
+    await command('/diff');
+    assert.ok(harness.callsOf('uploadFile').pop().args[1].toString().includes('+console.log(2);'), 'Diff against HEAD once there are commits');
+
+    // 只有新建文件时也要回传；被 .gitignore 忽略的和隐藏文件不包含
+    fs.writeFileSync(path.join(workDir, 'app.js'), 'console.log(1);\n');
+    fs.writeFileSync(path.join(workDir, 'util.js'), 'module.exports = 1;\n');
+    fs.writeFileSync(path.join(workDir, '.env'), 'TOKEN=s3cret\n');
+    fs.writeFileSync(path.join(workDir, '.gitignore'), 'build.log\n');
+    fs.writeFileSync(path.join(workDir, 'build.log'), 'ignored\n');
+    replies = await command('/diff');
+    const untracked = harness.callsOf('uploadFile').pop().args[1].toString();
+    assert.ok(untracked.includes('+module.exports = 1;'), 'Untracked files should be in the diff');
+    assert.ok(!untracked.includes('s3cret') && !untracked.includes('ignored'), 'Hidden and ignored files should be left out');
+    assert.ok(replyTexts(replies).some(text => String(text).includes('1 个文件')));
+
+    replies = await command('/diff ..');
+    assert.ok(replyTexts(replies).some(text => String(text).includes('不在工作目录内')), 'Paths outside the workspace should be rejected');
+
+    // 配置文件里有应用密钥，隐藏文件一律不发送
+    fs.writeFileSync(path.join(workDir, '.config.json'), '{"feishuAppSecret":"s3cret"}');
+    fs.symlinkSync('.config.json', path.join(workDir, 'settings.json'));
+    const uploads = harness.callsOf('uploadFile').length;
+    for (const hidden of ['.config.json', './.config.json', '.git/config', 'settings.json']) {
+      replies = await command(`/file ${hidden}`);
+      assert.ok(replyTexts(replies).some(text => String(text).includes('不允许发送')), `/file ${hidden} should be refused`);
+    }
+    assert.strictEqual(harness.callsOf('uploadFile').length, uploads, 'Hidden files should never be uploaded');
+
+    await command('/file app.js');
+    assert.strictEqual(harness.callsOf('uploadFile').pop().args[0], 'app.js', 'Regular files should still be sent');
+  } finally {
+    await harness.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function testRecallInBusySession() {
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' } });
+  const prompt = (messageId, text) => ({ chatId: 'oc_recall_busy', chatType: 'p2p', userId: 'ou_recall', messageType: 'text', attachments: [], messageId, text });
+  const assistant = (id, parentID, text, error) => {
+    harness.emitOpenCode('message.updated', decodeEvent({ type: 'message.updated', properties: { info: { id, parentID, role: 'assistant', sessionID: 'ses_1', error } } }));
+    harness.emitOpenCode('message.part.updated', decodeEvent({ type: 'message.part.updated', properties: { part: { id: `${id}_p`, messageID: id, sessionID: 'ses_1', type: 'text', text } } }));
+  };
+  const idle = () => harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID: 'ses_1' } }));
+  const reactions = (messageId) => harness.calls
+    .filter(call => (call.method === 'addReaction' || call.method === 'removeReaction') && call.args[0] === messageId)
+    .map(call => call.method === 'addReaction' ? call.args[1] : 'removed');
+  const release = harness.holdPrompts();
+
+  try {
+    harness.emitFeishu('message', prompt('om_busy_1', '第一个问题'));
+    await settle();
+    harness.emitFeishu('message', prompt('om_busy_2', '第二个问题'));
+    await settle();
+
+    // 撤回排在后面的提示词，不中止正在回答的那个
+    harness.emitFeishu('recalled', { messageId: 'om_busy_2' });
+    await settle();
+    assert.strictEqual(harness.callsOf('opencode.abortSession').length, 0, 'Waiting prompt should not abort the session');
+    assert.deepStrictEqual(reactions('om_busy_2'), ['OnIt', 'removed']);
+
+    assistant('msg_b1', 'msg_u1', '第一个回答（撤回测试）');
+    assistant('msg_b2', 'msg_u2', '第二个回答（撤回测试）');
+    idle();
+    await settle(50);
+    assert.deepStrictEqual(harness.callsOf('reply').map(call => [call.args[0], call.args[1].text]), [
+      ['om_busy_1', '第一个回答（撤回测试）']
+    ], 'Recalled prompt\'s answer should be discarded, the other one delivered');
+    assert.deepStrictEqual(reactions('om_busy_1'), ['OnIt', 'removed', 'DONE']);
+
+    // 撤回正在回答的提示词才中止会话，排在后面的仍然得到回答
+    harness.emitFeishu('message', prompt('om_busy_3', '第三个问题'));
+    await settle();
+    harness.emitFeishu('message', prompt('om_busy_4', '第四个问题'));
+    await settle();
+    harness.emitFeishu('recalled', { messageId: 'om_busy_3' });
+    await settle();
+    assert.deepStrictEqual(harness.callsOf('opencode.abortSession').map(call => call.args), [['ses_1']]);
+
+    assistant('msg_b3', 'msg_u3', '', { name: 'MessageAbortedError' });
+    assistant('msg_b4', 'msg_u4', '第四个回答（撤回测试）');
+    idle();
+    await settle(50);
+    const replies = harness.callsOf('reply').map(call => call.args[0]);
+    assert.ok(replies.includes('om_busy_4'), 'Prompt after the aborted one should get its answer');
+    assert.ok(!replies.includes('om_busy_3'));
+    assert.deepStrictEqual(reactions('om_busy_4'), ['OnIt', 'removed', 'DONE'], 'Later prompt should not be stuck on working');
+  } finally {
+    release();
+    await harness.stop();
+  }
+}
+
+async function testStreamingSendFailure() {
+  const opencode = require('./src/opencode.cjs');
+  const harness = await startBridgeWithFakes({ stream: { enabled: true } });
+  const prompt = (messageId) => ({ chatId: 'oc_stream_fail', chatType: 'p2p', userId: 'ou_stream', messageType: 'text', attachments: [], messageId, text: `问题 ${messageId}` });
+  // 流式卡片是回复提示词的 interactive 消息
+  const cardFor = (messageId) => harness.callsOf('reply').find(call => call.args[0] === messageId && call.args[1].msgType === 'interactive');
+  const notesOf = () => harness.callsOf('updateCard').map(call => JSON.stringify(call.args[1]));
+  let failing = true;
+  opencode.sendMessage = async (...args) => {
+    harness.calls.push({ method: 'opencode.sendMessage', args });
+    if (failing) {
+      throw new Error('OpenCode unavailable');
+    }
+  };
+
+  try {
+    // 发送失败进入重试队列后被撤回：卡片收尾为已取消
+    harness.emitFeishu('message', prompt('om_sfail_1'));
+    await settle(50);
+    assert.ok(cardFor('om_sfail_1'), 'Streaming card should be posted before the prompt is sent');
+    harness.emitFeishu('recalled', { messageId: 'om_sfail_1' });
+    await settle(50);
+    assert.ok(notesOf().some(card => card.includes('已取消')), 'Card of a recalled queued prompt should be finalized');
+
+    // 重试用完：卡片标记为发送失败，不再停在"正在生成"
+    harness.emitFeishu('message', prompt('om_sfail_2'));
+    await settle(50);
+    assert.ok(cardFor('om_sfail_2'), 'A new card should be posted once the old one was closed');
+    const deadline = Date.now() + 6000;
+    while (!notesOf().some(card => card.includes('未能发送')) && Date.now() < deadline) {
+      await settle(100);
+    }
+    assert.ok(notesOf().some(card => card.includes('未能发送')), 'Card should show the send failure after the retries run out');
+    assert.ok(harness.callsOf('addReaction').some(call => call.args[0] === 'om_sfail_2' && call.args[1] === 'CrossMark'));
+
+    // 之后的提示词得到新的卡片，不会写进已经失败的卡片
+    failing = false;
+    harness.emitFeishu('message', prompt('om_sfail_3'));
+    await settle(50);
+    assert.ok(cardFor('om_sfail_3'), 'Next prompt should get its own streaming card');
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testImageAttachment() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const { fileURLToPath } = require('url');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-image-'));
+  const harness = await startBridgeWithFakes({ opencode: { workDir } });
+  // 飞书下载接口不一定返回 Content-Type，按文件头识别
+  const png = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00]);
+  harness.getApp().downloadMessageResource = async (...args) => {
+    harness.calls.push({ appId: 'cli_main', method: 'downloadMessageResource', args });
+    return { data: png, contentType: '' };
+  };
+
+  try {
+    harness.emitFeishu('message', {
+      chatId: 'oc_image', chatType: 'p2p', userId: 'ou_image', messageType: 'image', messageId: 'om_image_1', text: '',
+      attachments: [{ type: 'image', fileKey: 'img_v3_key', messageId: 'om_image_1', appId: 'cli_main' }]
+    });
+    await settle(100);
+
+    assert.deepStrictEqual(harness.callsOf('downloadMessageResource').map(call => call.args), [['om_image_1', 'img_v3_key', 'image']]);
+    const sent = harness.callsOf('opencode.sendMessage').pop();
+    assert.ok(sent, 'Image-only message should be forwarded');
+    const [part] = sent.args[1];
+    assert.strictEqual(sent.args[1].length, 1, 'No empty text part for an image without caption');
+    assert.strictEqual(part.type, 'file');
+    assert.strictEqual(part.mime, 'image/png');
+    assert.strictEqual(part.filename, 'img_v3_key.png');
+    assert.ok(fs.readFileSync(fileURLToPath(part.url)).equals(png), 'Image should be saved where the file part points');
+  } finally {
+    await harness.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function testFileAttachments() {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-inbox-'));
+  const harness = await startBridgeWithFakes({
+    opencode: { workDir },
+    inbox: { dir: 'inbox', maxSize: 1024, allowedExtensions: ['.txt', '.CSV'] }
+  });
+  harness.getApp().downloadMessageResource = async (messageId, fileKey) => {
+    harness.calls.push({ appId: 'cli_main', method: 'downloadMessageResource', args: [messageId, fileKey] });
+    if (fileKey === 'file_big') {
+      throw Object.assign(new Error('resource exceeds 1024 bytes'), { code: 'ERR_RESOURCE_TOO_LARGE' });
+    }
+    return { data: Buffer.from(`content of ${fileKey}`), contentType: 'application/octet-stream' };
+  };
+  const fileMessage = (messageId, files) => ({
+    chatId: 'oc_inbox', chatType: 'p2p', userId: 'ou_inbox', messageType: 'file', messageId, text: '',
+    attachments: files.map(([fileKey, fileName]) => ({ type: 'file', fileKey, fileName, messageId, appId: 'cli_main' }))
+  });
+  const notices = () => harness.callsOf('sendMessage').map(call => call.args[1]);
+
+  try {
+    harness.emitFeishu('message', fileMessage('om_inbox_1', [['file_ok', '../report.txt'], ['file_data', 'data.csv']]));
+    await settle(100);
+    const [prompt] = harness.callsOf('opencode.sendMessage').pop().args[1];
+    assert.ok(prompt.text.includes(path.join('inbox', 'oc_inbox', 'report.txt')), 'Saved path should be listed for OpenCode');
+    assert.ok(prompt.text.includes(path.join('inbox', 'oc_inbox', 'data.csv')), 'Extension check should ignore case');
+    assert.strictEqual(fs.readFileSync(path.join(workDir, 'inbox', 'oc_inbox', 'report.txt'), 'utf8'), 'content of file_ok');
+    assert.ok(!fs.existsSync(path.join(workDir, 'inbox', 'report.txt')), 'Directory parts of the file name should be dropped');
+
+    // 被拒绝的文件不下载（扩展名）或不保存（大小），并在群里说明原因
+    const sends = harness.callsOf('opencode.sendMessage').length;
+    harness.emitFeishu('message', fileMessage('om_inbox_2', [['file_exe', 'setup.exe'], ['file_big', 'big.txt']]));
+    await settle(100);
+    assert.ok(!harness.callsOf('downloadMessageResource').some(call => call.args[1] === 'file_exe'), 'Disallowed type should not be downloaded');
+    assert.ok(notices().some(text => text.includes('setup.exe') && text.includes('不支持的文件类型 .exe')));
+    assert.ok(notices().some(text => text.includes('big.txt') && text.includes('超过大小限制 (1 KB)')));
+    assert.strictEqual(harness.callsOf('opencode.sendMessage').length, sends, 'Nothing left to forward once every file is rejected');
+  } finally {
+    await harness.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+async function testThreadSessions() {
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' }, thread: { mode: 'chat', chatModes: { oc_topics: 'thread' } } });
+  const send = async (chatId, messageId, rootId = null) => {
+    harness.emitFeishu('message', { chatId, chatType: 'group', isMentioned: true, userId: 'ou_thread', messageType: 'text', attachments: [], messageId, rootId, text: `消息 ${messageId}` });
+    await settle(50);
+    return harness.callsOf('opencode.sendMessage').pop().args[0];
+  };
+  const answer = async (sessionID, text) => {
+    harness.emitOpenCode('message.updated', decodeEvent({ type: 'message.updated', properties: { info: { id: `msg_${text}`, role: 'assistant', sessionID } } }));
+    harness.emitOpenCode('message.part.updated', decodeEvent({ type: 'message.part.updated', properties: { part: { id: `prt_${text}`, messageID: `msg_${text}`, sessionID, type: 'text', text } } }));
+    harness.emitOpenCode('session.idle', decodeEvent({ type: 'session.idle', properties: { sessionID } }));
+    await settle(50);
+    return harness.callsOf('reply').find(call => call.args[1].text === text);
+  };
+
+  try {
+    // 话题模式：每个顶层消息开一个会话，话题里的回复沿用它
+    const first = await send('oc_topics', 'om_topic_1');
+    const reply = await answer(first, '话题回答一');
+    assert.strictEqual(reply.args[0], 'om_topic_1');
+    assert.deepStrictEqual(reply.args[2], { replyInThread: true }, 'Answers should stay inside the thread');
+
+    assert.strictEqual(await send('oc_topics', 'om_topic_1_reply', 'om_topic_1'), first, 'Replies in a thread should reuse its session');
+    await answer(first, '话题回答二');
+    const second = await send('oc_topics', 'om_topic_2');
+    assert.notStrictEqual(second, first, 'A new top-level message should start its own session');
+
+    // 其他群仍然是一个群一个会话
+    const chat = await send('oc_plain_chat', 'om_plain_1');
+    await answer(chat, '群聊回答');
+    assert.strictEqual(await send('oc_plain_chat', 'om_plain_2', 'om_plain_1'), chat);
+    assert.ok(![first, second].includes(chat));
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testQuotedReply() {
+  const harness = await startBridgeWithFakes();
+  harness.fixtures.messages.om_quote_parent = { messageId: 'om_quote_parent', text: '第一行\n第二行', senderType: 'app', senderId: 'cli_main' };
+  harness.fixtures.messages.om_quote_long = { messageId: 'om_quote_long', text: 'x'.repeat(2500), senderType: 'user', senderId: 'ou_author' };
+  const send = async (messageId, parentId, text) => {
+    harness.emitFeishu('message', { chatId: 'oc_quote', chatType: 'p2p', userId: 'ou_quote', messageType: 'text', attachments: [], messageId, parentId, text });
+    await settle(50);
+    return harness.callsOf('opencode.sendMessage').pop().args[1][0].text;
+  };
+
+  try {
+    assert.strictEqual(
+      await send('om_quote_1', 'om_quote_parent', '解释一下'),
+      '[Quoted message from the assistant]\n> 第一行\n> 第二行\n\n解释一下',
+      'Quoted message should come before the user text'
+    );
+
+    const long = await send('om_quote_2', 'om_quote_long', '总结');
+    assert.ok(long.startsWith(`[Quoted message from user ou_author]\n> ${'x'.repeat(2000)}…\n\n`), 'Long quotes should be truncated');
+
+    // 取不到被引用的消息时照常转发
+    harness.getApp().getMessage = async () => { throw new Error('message deleted'); };
+    assert.strictEqual(await send('om_quote_3', 'om_quote_gone', '继续'), '继续');
+  } finally {
+    await harness.stop();
+  }
+}
+
+async function testCardActions() {
+  const { FeishuApp, on, off } = await import('./src/feishu.js');
+  const app = new FeishuApp('cli_cards', 'secret');
+  const updates = [];
+  app.updateCard = async (...args) => { updates.push(args); return true; };
+  const events = { cardAction: [], error: [] };
+  const listeners = Object.fromEntries(Object.keys(events).map(event => [event, data => events[event].push(data)]));
+  Object.entries(listeners).forEach(([event, handler]) => on(event, handler));
+
+  try {
+    // 缺字段的回调只报告错误，返回错误提示
+    for (const payload of [null, {}, { action: { value: { action: 'new_session' } }, context: {} }]) {
+      const response = await app._handleCardAction(payload);
+      assert.strictEqual(response.toast.type, 'error');
+    }
+    assert.strictEqual(events.error.length, 3, 'Malformed payloads should be reported as errors');
+    assert.strictEqual(events.cardAction.length, 0);
+
+    app.sentCards.set('om_card_1', { elements: [{ tag: 'div', text: { tag: 'plain_text', content: '开启新会话？' } }, { tag: 'action', actions: [] }] });
+    const response = await app._handleCardAction({
+      action: { tag: 'button', value: { action: 'new_session', label: '新会话' } },
+      context: { open_message_id: 'om_card_1', open_chat_id: 'oc_cards' },
+      operator: { open_id: 'ou_clicker' }
+    });
+    assert.deepStrictEqual(response, { toast: { type: 'success', content: '已选择: 新会话' } });
+    assert.deepStrictEqual(events.cardAction.map(({ messageId, chatId, operator, value, appId }) => ({ messageId, chatId, operator, value, appId })), [{
+      messageId: 'om_card_1', chatId: 'oc_cards', operator: { openId: 'ou_clicker', userId: null }, value: { action: 'new_session', label: '新会话' }, appId: 'cli_cards'
+    }]);
+    const [[updatedId, updatedCard]] = updates;
+    assert.strictEqual(updatedId, 'om_card_1');
+    assert.ok(!updatedCard.elements.some(element => element.tag === 'action'), 'Buttons should be removed after a click');
+  } finally {
+    Object.entries(listeners).forEach(([event, handler]) => off(event, handler));
+  }
+
+  // bridge 侧：按 value.action 分发，处理失败只报告错误
+  const harness = await startBridgeWithFakes();
+  const errors = [];
+  const onError = error => errors.push(error);
+  harness.bridge.on('error', onError);
+  const click = async (value) => {
+    harness.emitFeishu('cardAction', { messageId: 'om_card_2', chatId: 'oc_cards', operator: { openId: 'ou_clicker' }, value });
+    await settle(50);
+  };
+
+  try {
+    harness.emitFeishu('message', { chatId: 'oc_cards', chatType: 'p2p', userId: 'ou_clicker', messageType: 'text', attachments: [], messageId: 'om_card_prompt_1', text: '第一个会话' });
+    await settle(50);
+    const first = harness.callsOf('opencode.sendMessage').pop().args[0];
+
+    await click({ action: 'new_session' });
+    assert.ok(harness.callsOf('sendMessage').some(call => call.args[0] === 'oc_cards' && call.args[1].includes('已开启新会话')));
+    harness.emitFeishu('message', { chatId: 'oc_cards', chatType: 'p2p', userId: 'ou_clicker', messageType: 'text', attachments: [], messageId: 'om_card_prompt_2', text: '第二个会话' });
+    await settle(50);
+    assert.notStrictEqual(harness.callsOf('opencode.sendMessage').pop().args[0], first, 'new_session should start a fresh OpenCode session');
+
+    await click({ action: 'permission', permissionId: 'per_missing', response: 'bogus' });
+    await click({ action: 'unknown_action' });
+    assert.deepStrictEqual(errors.map(error => error.source), ['handleCardAction'], 'Only the failing handler should be reported');
+  } finally {
+    harness.bridge.off('error', onError);
+    await harness.stop();
+  }
+}
+
+async function testRecallQueuedAndRunning() {
+  const opencode = require('./src/opencode.cjs');
+  const harness = await startBridgeWithFakes({ reply: { format: 'text' } });
+  const prompt = (chatId, messageId) => ({ chatId, chatType: 'p2p', userId: 'ou_recall', messageType: 'text', attachments: [], messageId, text: `提示词 ${messageId}` });
+  const fakeSend = opencode.sendMessage;
+
+  try {
+    // 发送失败进入重试队列（QUEUED），撤回后从队列删除，不再发送
+    opencode.sendMessage = async (...args) => {
+      harness.calls.push({ method: 'opencode.sendMessage', args });
+      throw new Error('OpenCode unavailable');
+    };
+    harness.emitFeishu('message', prompt('oc_recall_queued', 'om_recall_q'));
+    await settle(50);
+    assert.strictEqual(harness.bridge.queue.size(), 1, 'Failed prompt should wait in the retry queue');
+    harness.emitFeishu('recalled', { messageId: 'om_recall_q' });
+    await settle(50);
+    assert.strictEqual(harness.bridge.queue.size(), 0, 'Recalled prompt should be removed from the queue');
+    assert.ok(harness.callsOf('removeReaction').some(call => call.args[0] === 'om_recall_q'));
+    assert.strictEqual(harness.callsOf('opencode.abortSession').length, 0, 'Nothing is running to abort');
+
+    // 正在执行（RUNNING）：中止会话并告知用户
+    opencode.sendMessage = fakeSend;
+    const release = harness.holdPrompts();
+    harness.emitFeishu('message', prompt('oc_recall_running', 'om_recall_r'));
+    await settle(50);
+    const session = harness.callsOf('opencode.sendMessage').pop().args[0];
+    harness.emitFeishu('recalled', { messageId: 'om_recall_r' });
+    await settle(50);
+    release();
+    assert.deepStrictEqual(harness.callsOf('opencode.abortSession').map(call => call.args[0]), [session]);
+    assert.ok(harness.callsOf('sendMessage').some(call => call.args[0] === 'oc_recall_running' && call.args[1].includes('消息已撤回')));
+
+    // 撤回未被跟踪的消息（已经回答完）什么也不做
+    harness.emitFeishu('recalled', { messageId: 'om_recall_unknown' });
+    await settle();
+    assert.strictEqual(harness.callsOf('opencode.abortSession').length, 1);
+  } finally {
+    opencode.sendMessage = fakeSend;
+    await harness.stop();
+  }
+}
+
+async function testBotMembership() {
+  const opencode = require('./src/opencode.cjs');
+  const harness = await startBridgeWithFakes();
+  const fakeSend = opencode.sendMessage;
+  const send = async (chatId, messageId) => {
+    harness.emitFeishu('message', { chatId, chatType: 'group', isMentioned: true, userId: 'ou_member', messageType: 'text', attachments: [], messageId, text: `消息 ${messageId}` });
+    await settle(50);
+    return harness.callsOf('opencode.sendMessage').pop().args[0];
+  };
+
+  try {
+    harness.emitFeishu('botAdded', { chatId: 'oc_joined', chatName: '新群' });
+    await settle();
+    assert.ok(harness.callsOf('sendMessage').some(call => call.args[0] === 'oc_joined' && call.args[1].includes('/diff')), 'Welcome message should be sent to the new chat');
+
+    const removedSession = await send('oc_leaving', 'om_member_1');
+    const keptSession = await send('oc_staying', 'om_member_2');
+    // 发送失败的消息留在重试队列里
+    opencode.sendMessage = async () => { throw new Error('OpenCode unavailable'); };
+    await send('oc_leaving', 'om_member_3');
+    opencode.sendMessage = fakeSend;
+    assert.strictEqual(harness.bridge.queue.size(), 1);
+
+    harness.emitFeishu('botRemoved', { chatId: 'oc_leaving' });
+    await settle();
+    assert.strictEqual(harness.bridge.queue.size(), 0, 'Queued messages of the chat should be dropped');
+    assert.notStrictEqual(await send('oc_leaving', 'om_member_4'), removedSession, 'Session mapping of the chat should be removed');
+    assert.strictEqual(await send('oc_staying', 'om_member_5'), keptSession, 'Other chats should keep their sessions');
+  } finally {
+    opencode.sendMessage = fakeSend;
+    await harness.stop();
+  }
+}
+
+async function testFeishuDomain() {
+  const { resolveDomain } = await import('./src/feishu.js');
+  assert.strictEqual(resolveDomain(undefined), 'https://open.feishu.cn');
+  assert.strictEqual(resolveDomain('feishu'), 'https://open.feishu.cn');
+  assert.strictEqual(resolveDomain('lark'), 'https://open.larksuite.com');
+  // 私有化部署填自己的地址，结尾的 / 和 /open-apis 可有可无
+  assert.strictEqual(resolveDomain('https://open.feishu.example.com'), 'https://open.feishu.example.com');
+  assert.strictEqual(resolveDomain('https://open.feishu.example.com/'), 'https://open.feishu.example.com');
+  assert.strictEqual(resolveDomain('https://open.feishu.example.com/open-apis/'), 'https://open.feishu.example.com');
+}
+
+async function testFeishuApiErrors() {
+  const { createApiError, FeishuApiError } = await import('./src/feishu.js');
+  const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+  const network = createApiError('send message', null, null, Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+  assert.ok(network instanceof FeishuApiError);
+  assert.strictEqual(network.retryable, true, 'Network errors should be retried');
+  assert.strictEqual(network.message, 'Failed to send message: socket hang up');
+
+  assert.strictEqual(createApiError('send message', null, null, httpError(502)).retryable, true, '5xx should be retried');
+
+  // 机器人不在群里等业务错误重试也没用，HTTP 200 和 4xx 里返回的都一样
+  const notInChat = { code: 230002, msg: 'Bot is not in the chat' };
+  const inBody = createApiError('send message', notInChat, { 'x-tt-logid': 'log_1' });
+  assert.strictEqual(inBody.retryable, false, 'Error codes in a 200 response should not be retried');
+  assert.strictEqual(inBody.message, 'Failed to send message: Bot is not in the chat (code 230002, log_id log_1)');
+  assert.strictEqual(createApiError('send message', notInChat, null, httpError(400, notInChat)).retryable, false);
+
+  const chatLimited = createApiError('send message', { code: 230020, msg: 'rate limited' }, { 'retry-after': '2' });
+  assert.deepStrictEqual([chatLimited.retryable, chatLimited.rateLimitScope, chatLimited.retryAfter], [true, 'chat', 2000]);
+  const appLimited = createApiError('send message', null, { 'x-ogw-ratelimit-reset': '3' }, httpError(429));
+  assert.deepStrictEqual([appLimited.retryable, appLimited.rateLimitScope, appLimited.retryAfter], [true, 'app', 3000]);
+
+  assert.strictEqual(createApiError('send message', { code: 99991663, msg: 'token invalid' }).retryable, true, 'Expired tokens are refreshed and retried');
+}
+
+async function testStreamingCardUpdates() {
+  const { decodeEvent } = require('./src/opencode-events.cjs');
+  const harness = await startBridgeWithFakes({ stream: { enabled: true, interval: 30 } });
+  const app = harness.getApp();
+  const fakeReply = app.reply;
+  let cardMessageId = null;
+  app.reply = async (...args) => {
+    const response = await fakeReply(...args);
+    if (args[1].msgType === 'interactive') {
+      cardMessageId = response.data.message_id;
+    }
+    return response;
+  };
+  const event = (type, properties) => harness.emitOpenCode(type, decodeEvent({ type, properties }));
+  const part = (id, messageID, text) => event('message.part.updated', { part: { id, messageID, sessionID: 'ses_1', type: 'text', text } });
+  const cards = () => harness.callsOf('updateCard').map(call => ({ id: call.args[0], json: JSON.stringify(call.args[1]) }));
+
+  try {
+    harness.emitFeishu('message', { chatId: 'oc_stream', chatType: 'p2p', userId: 'ou_stream', messageType: 'text', attachments: [], messageId: 'om_stream_1', text: '写一首诗' });
+    await settle(50);
+    assert.ok(cardMessageId, 'Placeholder card should reply to the prompt');
+
+    // 用户自己的输入也有 part 事件，不显示在卡片里
+    event('message.updated', { info: { id: 'msg_stream_user', role: 'user', sessionID: 'ses_1' } });
+    part('prt_stream_user', 'msg_stream_user', '写一首诗（用户输入）');
+    event('message.updated', { info: { id: 'msg_stream_1', parentID: 'msg_stream_user', role: 'assistant', sessionID: 'ses_1' } });
+    part('prt_stream_1', 'msg_stream_1', '床前明月光');
+    await settle(80);
+    part('prt_stream_1', 'msg_stream_1', '床前明月光，疑是地上霜');
+    await settle(80);
+
+    const streamed = cards();
+    assert.ok(streamed.length >= 2, 'Card should be updated while the answer streams in');
+    assert.ok(streamed.every(card => card.id === cardMessageId && card.json.includes('正在生成')));
+    assert.ok(streamed[0].json.includes('床前明月光') && streamed[streamed.length - 1].json.includes('疑是地上霜'));
+    assert.ok(!streamed.some(card => card.json.includes('用户输入')), 'User input should not be shown');
+
+    event('session.idle', { sessionID: 'ses_1' });
+    await settle(80);
+    const final = cards().pop();
+    assert.strictEqual(final.id, cardMessageId);
+    assert.ok(final.json.includes('床前明月光，疑是地上霜') && !final.json.includes('正在生成'), 'Final card should drop the generating note');
+    assert.ok(!harness.callsOf('reply').some(call => call.args[1].msgType !== 'interactive'), 'Streamed answer should not be sent again');
+    assert.ok(harness.callsOf('addReaction').some(call => call.args[0] === 'om_stream_1' && call.args[1] === 'DONE'));
+  } finally {
+    await harness.stop();
+  }
+}
 
 async function runAllTests() {
   console.log('========================================');
@@ -330,6 +1758,36 @@ async function runAllTests() {
   await runTest('Message Flow - OpenCode → Feishu', testOpenCodeToFeishu);
   await runTest('Error Handling - Feishu Connection Error', testFeishuConnectionError);
   await runTest('Error Handling - OpenCode Process Crash', testOpenCodeCrash);
+  await runTest('Message Parsing - Rich Text Post', testPostMessageParsing);
+  await runTest('Message Parsing - Mentions', testMentionResolution);
+  await runTest('Message Parsing - Merge Forward Transcript', testMergeForwardTranscript);
+  await runTest('Message Formatting - Markdown Card', testMarkdownCardFormatting);
+  await runTest('Message Formatting - Long Reply Splitting', testLongReplySplitting);
+  await runTest('Message Delivery - Outbound Rate Limiting', testOutboundRateLimit);
+  await runTest('Feishu API - Tenant Access Token', testTenantAccessToken);
+  await runTest('Event Subscription - Webhook Verification', testWebhookVerification);
+  await runTest('Event Subscription - OpenCode Event Decoding', testOpenCodeEventDecoding);
+  await runTest('Event Subscription - OpenCode Stream Reconnect', testEventStreamReconnect);
+  await runTest('Message Flow - Permission Response', testPermissionResponse);
+  await runTest('Group Chat - Forwarded Messages Held For Mention', testGroupMergeForward);
+  await runTest('Message Flow - Queued Prompts Answered In Order', testQueuedPromptReplies);
+  await runTest('Multiple Apps - Registry And Webhook Routing', testMultiAppRegistry);
+  await runTest('Multiple Apps - Replies From The Receiving Bot', testMultiAppReplies);
+  await runTest('Permission Requests - Approval Cards', testPermissionCards);
+  await runTest('Message Delivery - Reactions Are Rate Limited', testReactionsThrottled);
+  await runTest('File Commands - Diff And File', testFileCommands);
+  await runTest('Message Recall - Busy Session', testRecallInBusySession);
+  await runTest('Streaming Replies - Card Closed When The Prompt Fails', testStreamingSendFailure);
+  await runTest('Attachments - Image Forwarded As File Part', testImageAttachment);
+  await runTest('Attachments - Files Saved To The Inbox', testFileAttachments);
+  await runTest('Group Chat - Thread Sessions', testThreadSessions);
+  await runTest('Message Flow - Quoted Reply Context', testQuotedReply);
+  await runTest('Event Subscription - Card Action Callbacks', testCardActions);
+  await runTest('Message Recall - Queued And Running Prompts', testRecallQueuedAndRunning);
+  await runTest('Group Chat - Bot Added And Removed', testBotMembership);
+  await runTest('Feishu API - Lark And Private Domains', testFeishuDomain);
+  await runTest('Feishu API - Retryable Errors', testFeishuApiErrors);
+  await runTest('Streaming Replies - Card Updated Then Finalized', testStreamingCardUpdates);
 
   console.log('\n========================================');
   console.log('Test Summary');